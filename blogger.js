@@ -1,13 +1,43 @@
-const levels = ['noop', 'error', 'warn', 'info', 'debug', 'trace', 'silly'];
+import {availableLevel, compileCategory, compileRedaction, defaultRedaction, matchCategory, matchRules, pollRemoteConfig, RateLimiter, redactValue, timingMethods} from './common.mjs';
+
+const defaultLevels = {error: 0, warn: 1, info: 2, debug: 3, trace: 4, silly: 5};
+// the levels in use, most severe first; replaced in place by setLevels
+const levels = ['noop', ...Object.keys(defaultLevels)];
+// the console methods of levels, for ConsoleTransport
+let consoleMethods = {};
+const consoleOutputs = ['debug', 'error', 'info', 'log', 'trace', 'warn'];
+// the names a level cannot have, as they are taken by the methods of every Logger
+const instanceMethods = ['child', 'context', 'count', 'countReset', 'log', 'measure', 'noop', 'time', 'timeEnd'];
+// the level methods of each Logger, bound once so each keeps its identity
+const levelMethods = new WeakMap();
+// errors thrown by transports, which must not be captured and logged again
+const transportErrors = new WeakSet();
+let internalDepth = 0;
+let releaseGlobalErrors;
+let traceContext;
+// the rate limits by category pattern and by transport name
+const rateLimiter = new RateLimiter(deliverSummary);
+// the compiled redaction rules, when redaction is enabled
+let redaction;
+// where loadConfig may read a log configuration from, by default in this order
+const configSources = ['url', 'localStorage', 'cookie'];
+// stops polling the current remote configuration
+let stopRemoteConfig;
+// numbers the performance marks, so each timing has its own
+let markCount = 0;
+// the request headers that carry credentials, which are never persisted for a retry
+const credentialHeaders = ['authorization', 'cookie', 'proxy-authorization', 'x-api-key'];
 
 /**
  * A simple logger for use in a browser with different log levels and transport options.
  *
  * @param {string} filename - The filename or category for the logger.
+ * @param {Object} [context={}] - Metadata bound to every record from this logger, as the record's `meta`.
  * @throws {Error} Throws an error if the filename is undefined.
  * @constructor
+ * @example const logger = new Logger('cart.js', {tenant: 'acme', userId: 42});
  */
-export default function Logger(filename){
+export default function Logger(filename, context = {}){
 	if(filename === undefined){
 		throw new Error('Logger requires the file name of where it\'s being used.');
 	}
@@ -18,61 +48,144 @@ export default function Logger(filename){
 	/**
 	 * Log a message with the specified log level.
 	 *
-	 * @param {string} level - The log level ('noop', 'error', 'warn', 'info', 'debug', 'trace').
+	 * @param {string} level - The log level ('noop', 'error', 'warn', 'info', 'debug', 'trace', 'silly').
 	 * @param {string} msg - The main message to be logged.
-	 * @param {...any} args - Additional arguments to be included in the log message.
+	 * @param {...any} args - Additional arguments to be included in the log message.  A `meta` object is merged
+	 * over the logger's bound context.
 	 * @example logger.info('This is an info message');
 	 * @example logger.info([{name: 'Alice', age: 30, job: 'Engineer'},{name: 'Bob', age: 25, job: 'Designer'},{name: 'Charlie', age: 35, job: 'Teacher'}],{isTable: true, args: ['Name', 'Age', 'Job']});
 	 * @example logger.info('This is a message group', {group: 'group'});
 	 * @example logger.info('This ends the message group', {group: 'groupEnd'});
 	 */
+	const boundContext = Object.freeze({...context});
 	Object.defineProperties(this, {
+		/**
+		 * Create a logger for the same category with additional bound context.
+		 *
+		 * @param {Object} childContext - Metadata merged over this logger's context.
+		 * @returns {Logger}
+		 * @example logger.child({orderId: 'A-123'}).info('Order placed');
+		 */
+		child: {
+			value: childContext => new Logger(filename, {...boundContext, ...childContext})
+		},
+		context: {
+			value: boundContext
+		},
 		log: {
 			value: function(level, msg, params){
-				if(levels.indexOf(level) <= levels.indexOf(Logger.state.currentLevel)){
-					Object.values(Logger.state.transports).forEach((transport) => {
-						queueMicrotask(() => transport.log({
-							level,
-							msg,
-							category: filename,
-							...params
-						}));
-					});
+				const meta = Object.assign({}, boundContext, params?.meta);
+				const hasMeta = Object.keys(meta).length > 0;
+				const candidates = candidateTransports(level, filename);
+				if(candidates.length === 0){
+					return;
+				}
+				const fields = {
+					level,
+					msg,
+					category: filename,
+					...params,
+					...hasMeta && {meta}
+				};
+				const record = redaction === undefined ? fields : redactValue(fields, redaction);
+				const recipients = candidates.filter(([name]) => acceptsRecord(Logger.state.transportFilters[name], record));
+				if(recipients.length === 0 || !admit(record)){
+					return;
 				}
+				deliver(record, recipients);
 			}
-		}
-	});
-	levels.forEach((level) => {
-		let logFn;
-		if(level === 'noop'){
-			logFn = () => {
-			};
-		}else if(level === 'silly'){
-			logFn = this.log.bind(this, 'trace');
-		}else{
-			logFn = this.log.bind(this, level);
-		}
-		Object.defineProperty(this, level, {
-			value: logFn
-		});
+		},
+		...timingMethods({
+			log: (level, msg, fields) => this.log(level, msg, fields),
+			isLevel: level => level !== 'noop' && levels.includes(level),
+			warn: message => report('warn', message),
+			addMark,
+			addMeasure
+		})
 	});
 }
 
 Object.defineProperties(Logger, {
 	/**
-	 * Add a new transport to the logger.
+	 * Add a new transport to the logger, optionally limiting the records it receives.  A transport's `level` narrows
+	 * the logger's level for that transport only, while a `captureLevel` of the transport itself widens it.  A
+	 * transport replaced under the same name is closed, as by `removeTransport`.
 	 *
 	 * @param {string} name - The name of the transport.
 	 * @param {Object} newTransport - The transport object.
+	 * @param {Object} [options] - Which records the transport receives.
+	 * @param {string} [options.level] - Only records at this level or more severe.
+	 * @param {string|Array<string>} [options.include] - Only records whose category matches one of these patterns,
+	 * as for `setLogLevel`.
+	 * @param {string|Array<string>} [options.exclude] - No records whose category matches one of these patterns.
+	 * @param {Function} [options.filter] - Only records for which this returns true.
+	 * @throws {Error} Throws an error if the level is not valid.
+	 * @example Logger.addTransport('api', apiTransport, {level: 'warn', exclude: ['vendor/*']});
 	 */
 	addTransport: {
-		value: (name, newTransport) => {
+		value: (name, newTransport, options) => {
+			if(options?.level !== undefined && !levels.includes(options.level)){
+				throw new Error(`${options.level} is not a valid logger level`);
+			}
+			const previous = Logger.state.transports[name];
 			Logger.state.transports[name] = newTransport;
+			if(previous !== newTransport){
+				release(previous);
+			}
+			if(options === undefined){
+				delete Logger.state.transportFilters[name];
+			}else{
+				const {level, include, exclude, filter} = options;
+				Logger.state.transportFilters[name] = {
+					level,
+					include: include === undefined ? undefined : [].concat(include),
+					exclude: [].concat(exclude ?? []),
+					filter
+				};
+			}
 		}
 	},
+	/**
+	 * Wait until the transports have handled everything logged so far, flushing those that buffer records.
+	 *
+	 * @function
+	 * @name flush
+	 * @memberof Logger
+	 * @returns {Promise<void>}
+	 */
+	flush: {
+		value: async () => {
+			await new Promise(queueMicrotask);
+			await Promise.all(Object.values(Logger.state.transports).map(transport => transport.flush?.()));
+		}
+	},
+	/**
+	 * The valid log levels, most severe first.
+	 *
+	 * @name levels
+	 * @memberof Logger
+	 */
+	levels: {
+		get: () => [...levels]
+	},
+	/**
+	 * List the names of the transports.
+	 *
+	 * @function
+	 * @name listTransports
+	 * @memberof Logger
+	 * @returns {Array<string>}
+	 */
+	listTransports: {
+		value: () => Object.keys(Logger.state.transports)
+	},
 	state: {
 		value: {
+			categoryLevels: {},
 			currentLevel: 'noop',
+			rateLimits: rateLimiter.categories,
+			transportFilters: {},
+			transportRateLimits: rateLimiter.transports,
 			transports: {}
 		}
 	},
@@ -80,150 +193,1048 @@ Object.defineProperties(Logger, {
 		get: () => Logger.state.currentLevel
 	},
 	/**
-	 * Remove a transport from the logger.
+	 * Log uncaught errors, unhandled promise rejections and Content Security Policy violations, and optionally calls
+	 * to `console.warn` and `console.error`, through the transports.  Records carry a `source` naming what produced
+	 * them.  Calling it again replaces the previous capture.
+	 *
+	 * @function
+	 * @name captureGlobalErrors
+	 * @memberof Logger
+	 * @param {Object} [options] - The capture options.
+	 * @param {string} [options.category='global'] - The category of the captured records.
+	 * @param {boolean} [options.console=false] - Whether to capture calls to `console.warn` and `console.error`.
+	 * @returns {Function} Stops capturing and restores the console.
+	 * @example const release = Logger.captureGlobalErrors({console: true});
+	 */
+	captureGlobalErrors: {
+		value: ({category = 'global', console: captureConsole = false} = {}) => {
+			releaseGlobalErrors?.();
+			const logger = new Logger(category);
+			const listeners = {
+				error: (event) => {
+					if(!transportErrors.has(event.error)){
+						logger.log(availableLevel('error', levels.slice(1)), event.message, {
+							args: [event.error, {filename: event.filename, lineno: event.lineno, colno: event.colno}],
+							source: 'error'
+						});
+					}
+				},
+				unhandledrejection: (event) => {
+					if(!transportErrors.has(event.reason)){
+						logger.log(availableLevel('error', levels.slice(1)), `Unhandled rejection: ${event.reason?.message ?? event.reason}`, {
+							args: [event.reason],
+							source: 'unhandledrejection'
+						});
+					}
+				},
+				securitypolicyviolation: (event) => {
+					logger.log(availableLevel('error', levels.slice(1)), `Content Security Policy violation: ${event.violatedDirective} blocked ${event.blockedURI}`, {
+						args: [{sourceFile: event.sourceFile, lineNumber: event.lineNumber, columnNumber: event.columnNumber, disposition: event.disposition}],
+						source: 'securitypolicyviolation'
+					});
+				}
+			};
+			Object.entries(listeners).forEach(([type, listener]) => globalThis.addEventListener(type, listener));
+
+			const wrappers = {};
+			if(captureConsole){
+				['warn', 'error'].forEach((method) => {
+					const original = console[method];
+					wrappers[method] = {
+						original,
+						wrapper: function(...args){
+							if(internalDepth === 0){
+								logger.log(availableLevel(method, levels.slice(1)), args[0], {args: args.slice(1), source: 'console'});
+							}
+							return original.apply(this, args);
+						}
+					};
+					console[method] = wrappers[method].wrapper;
+				});
+			}
+
+			const release = () => {
+				Object.entries(listeners).forEach(([type, listener]) => globalThis.removeEventListener(type, listener));
+				Object.entries(wrappers).forEach(([method, {original, wrapper}]) => {
+					if(console[method] === wrapper){
+						console[method] = original;
+					}
+				});
+				if(releaseGlobalErrors === release){
+					releaseGlobalErrors = undefined;
+				}
+			};
+			releaseGlobalErrors = release;
+			return release;
+		}
+	},
+	/**
+	 * Get the effective log level for a category, taking category overrides into account.
+	 *
+	 * @function
+	 * @name getLogLevel
+	 * @memberof Logger
+	 * @param {string} [category] - The category to resolve; the global level is returned when omitted.
+	 * @returns {string} The log level in effect.
+	 */
+	getLogLevel: {
+		value: (category) => category === undefined ? Logger.state.currentLevel : resolveLevel(category)
+	},
+	/**
+	 * Get the current trace context, which `APITransport` and `tracedFetch` send as W3C Trace Context headers.
+	 * A trace is started for the page when first needed, and lasts until `Logger.startTrace` is called.
+	 *
+	 * @function
+	 * @name getTraceContext
+	 * @memberof Logger
+	 * @returns {{traceId: string, spanId: string, traceparent: string, tracestate: (string|undefined)}}
+	 */
+	getTraceContext: {
+		value: () => {
+			traceContext ??= {traceId: randomHex(16), spanId: randomHex(8)};
+			return {...traceContext, traceparent: `00-${traceContext.traceId}-${traceContext.spanId}-01`};
+		}
+	},
+	/**
+	 * Remove a category override so the category falls back to the next most specific rule.
+	 *
+	 * @function
+	 * @name clearLogLevel
+	 * @memberof Logger
+	 * @param {string} [category] - The category pattern to clear; all overrides are cleared when omitted.
+	 */
+	clearLogLevel: {
+		value: (category) => {
+			if(category === undefined){
+				Object.keys(Logger.state.categoryLevels).forEach((key) => delete Logger.state.categoryLevels[key]);
+			}else{
+				delete Logger.state.categoryLevels[category];
+			}
+		}
+	},
+	/**
+	 * Remove a category's rate limit; summaries of collapsed duplicates are delivered straight away.
+	 *
+	 * @function
+	 * @name clearRateLimit
+	 * @memberof Logger
+	 * @param {string} [category] - The category pattern to clear; all rate limits are cleared when omitted.
+	 */
+	clearRateLimit: {
+		value: (category) => {
+			rateLimiter.clear(category);
+		}
+	},
+	/**
+	 * Stop redacting records.
+	 *
+	 * @function
+	 * @name clearRedaction
+	 * @memberof Logger
+	 */
+	clearRedaction: {
+		value: () => {
+			redaction = undefined;
+		}
+	},
+	/**
+	 * The number of records dropped by rate limits, by category and transport name, and of duplicates collapsed,
+	 * by category.
+	 *
+	 * @name dropped
+	 * @memberof Logger
+	 */
+	dropped: {
+		get: () => rateLimiter.dropped
+	},
+	/**
+	 * Apply a log configuration found in the URL, localStorage or a cookie, so logging can be turned on for a
+	 * session without a deploy.  The URL takes `?log=debug` for the level, and `logCategories=cart/*,checkout:trace`
+	 * to apply it, or a level of their own, to those categories only.  localStorage and the cookie hold the JSON
+	 * written by `saveConfig`.  The first source in `sources` holding a configuration is applied; levels that are
+	 * not valid are reported and ignored.
+	 *
+	 * @function
+	 * @name loadConfig
+	 * @memberof Logger
+	 * @param {Object} [options] - The loading options.
+	 * @param {Array<string>} [options.sources=['url', 'localStorage', 'cookie']] - The sources allowed, in order of
+	 * precedence; an empty list disables loading.
+	 * @param {string} [options.key='log-ng'] - The localStorage key and cookie name.
+	 * @returns {Object|undefined} The configuration applied, as `{level, categories}`, if any.
+	 * @throws {Error} Throws an error if a source is not valid.
+	 * @example Logger.loadConfig({sources: ['url']});
+	 */
+	loadConfig: {
+		value: ({sources = configSources, key = 'log-ng'} = {}) => {
+			sources.forEach((source) => {
+				if(!configSources.includes(source)){
+					throw new Error(`${source} is not a valid config source`);
+				}
+			});
+			for(const source of sources){
+				const config = readConfig(source, key);
+				if(config !== undefined){
+					return applyConfig(config);
+				}
+			}
+			return undefined;
+		}
+	},
+	/**
+	 * Remove a transport from the logger, calling its `close()`, if it has one, once it is no longer added under any
+	 * name.
 	 *
 	 * @function
 	 * @name removeTransport
 	 * @memberof Logger
-	 * @param {string} transportToRemove - The name of the transport to be removed.
+	 * @param {string|Object} transportToRemove - The name of the transport, or the transport itself, to be removed.
 	 */
 	removeTransport: {
 		value: (transportToRemove) => {
-			delete Logger.state.transports[transportToRemove];
+			if(typeof transportToRemove === 'string'){
+				const removed = Logger.state.transports[transportToRemove];
+				delete Logger.state.transports[transportToRemove];
+				delete Logger.state.transportFilters[transportToRemove];
+				release(removed);
+			}else{
+				Object.entries(Logger.state.transports)
+					.filter(([_name, transport]) => transport === transportToRemove)
+					.forEach(([name]) => {
+						delete Logger.state.transports[name];
+						delete Logger.state.transportFilters[name];
+					});
+				release(transportToRemove);
+			}
+		}
+	},
+	/**
+	 * Apply the redaction rules to a value, e.g. before sending it outside of the Logger.
+	 *
+	 * @function
+	 * @name redact
+	 * @memberof Logger
+	 * @param {*} value - The value to redact; plain objects and arrays are copied, not changed.
+	 * @returns {*} The redacted value.
+	 */
+	redact: {
+		value: value => redaction === undefined ? value : redactValue(value, redaction)
+	},
+	/**
+	 * Save a log configuration to localStorage or a cookie, where `loadConfig` finds it on the next page load.
+	 *
+	 * @function
+	 * @name saveConfig
+	 * @memberof Logger
+	 * @param {Object|null} [config] - The configuration, as `{level, categories}` where categories maps patterns to
+	 * levels; the current levels when omitted, and removed when null.
+	 * @param {Object} [options] - The saving options.
+	 * @param {string} [options.to='localStorage'] - Either 'localStorage' or 'cookie'.
+	 * @param {string} [options.key='log-ng'] - The localStorage key and cookie name.
+	 * @param {number} [options.maxAge] - How many seconds the cookie lasts; without it, the cookie lasts for the
+	 * browser session.
+	 * @throws {Error} Throws an error if a level or the destination is not valid.
+	 * @example Logger.saveConfig({level: 'debug'}, {to: 'cookie'});
+	 */
+	saveConfig: {
+		value: (config = {level: Logger.level, categories: {...Logger.state.categoryLevels}}, {to = 'localStorage', key = 'log-ng', maxAge} = {}) => {
+			if(!['localStorage', 'cookie'].includes(to)){
+				throw new Error(`${to} is not a valid config destination`);
+			}
+			[config?.level, ...Object.values(config?.categories ?? {})].filter(level => level !== undefined).forEach((level) => {
+				if(!levels.includes(level)){
+					throw new Error(`${level} is not a valid logger level`);
+				}
+			});
+			const value = config === null ? undefined : JSON.stringify(config);
+			if(to === 'cookie'){
+				const age = value === undefined ? '; max-age=0' : maxAge === undefined ? '' : `; max-age=${maxAge}`;
+				document.cookie = `${key}=${encodeURIComponent(value ?? '')}; path=/; SameSite=Lax${age}`;
+			}else if(value === undefined){
+				localStorage.removeItem(key);
+			}else{
+				localStorage.setItem(key, value);
+			}
+		}
+	},
+	/**
+	 * Redact secrets and personal data from every record before it reaches the transports.  Keys are compared
+	 * ignoring case and punctuation (`apiKey` matches `api_key`); paths are dot paths into the record
+	 * (`args.0.card`, `meta.user.*`); patterns match within string values.  Each rule is a matcher or
+	 * `{match, strategy}` to override the strategy: 'mask' replaces the value with `[REDACTED]`, 'hash' with a
+	 * SHA-256 based `[hash:…]` (the same in node.js, so values can still be correlated), and 'remove' drops it.
+	 *
+	 * @function
+	 * @name setRedaction
+	 * @memberof Logger
+	 * @param {Object} [config] - The redaction rules; the defaults redact common secret keys, and emails, card
+	 * numbers and JWTs.
+	 * @param {Array<string|RegExp|Object>} [config.keys=[]] - Redact the values of properties with these names.
+	 * @param {Array<string|Object>} [config.paths=[]] - Redact the values at these paths, where `*` matches any key.
+	 * @param {Array<string|RegExp|Object>} [config.patterns=[]] - Redact matches of 'card', 'email', 'jwt' or a RegExp.
+	 * @param {string} [config.strategy='mask'] - 'mask', 'hash' or 'remove'.
+	 * @param {string} [config.salt=''] - Prefixed to values before hashing.
+	 * @throws {Error} Throws an error if a strategy or pattern is not valid.
+	 * @example Logger.setRedaction({keys: ['password', /token$/i], patterns: ['email', {match: 'card', strategy: 'hash'}]});
+	 */
+	setRedaction: {
+		value: (config = defaultRedaction) => {
+			redaction = compileRedaction(config, sha256);
+		}
+	},
+	/**
+	 * Limit the records delivered for a category, or for all categories, using a token bucket per category, and
+	 * optionally collapse repeats of a record into a single "Last message repeated 57 times in 5s" summary.
+	 * Category patterns work as for `setLogLevel`.
+	 *
+	 * @function
+	 * @name setRateLimit
+	 * @memberof Logger
+	 * @param {Object} limit - The rate limit.
+	 * @param {number} [limit.rate] - The records per second delivered on average.
+	 * @param {number} [limit.burst=rate] - The records that may be delivered at once.
+	 * @param {number} [limit.duplicates] - Collapse records repeating the previous one of the category, summarizing
+	 * them after this many milliseconds, or when a different record is logged.
+	 * @param {string} [category='*'] - The category pattern the limit applies to.
+	 * @throws {Error} Throws an error if the limit is not valid.
+	 * @example Logger.setRateLimit({rate: 10, burst: 20, duplicates: 5000}, 'render/*');
+	 */
+	setRateLimit: {
+		value: (limit, category = '*') => {
+			rateLimiter.set(limit, category);
+		}
+	},
+	/**
+	 * Limit the records delivered to a transport, using a token bucket, e.g. to protect an API endpoint.
+	 *
+	 * @function
+	 * @name setTransportRateLimit
+	 * @memberof Logger
+	 * @param {string} name - The name of the transport.
+	 * @param {Object} [limit] - The rate limit, with `rate` and `burst` as for `setRateLimit`; removed when omitted.
+	 * @throws {Error} Throws an error if the limit is not valid.
+	 * @example Logger.setTransportRateLimit('api', {rate: 5, burst: 50});
+	 */
+	setTransportRateLimit: {
+		value: (name, limit) => {
+			rateLimiter.setTransport(name, limit);
+		}
+	},
+	/**
+	 * Start a new trace, such as for a user action, so the browser and server records for it share a trace ID.
+	 *
+	 * @function
+	 * @name startTrace
+	 * @memberof Logger
+	 * @param {Object} [options] - The trace options.
+	 * @param {string} [options.traceId] - Continue a trace started elsewhere; a new ID is generated when omitted.
+	 * @param {string} [options.tracestate] - Vendor specific trace state, sent as the `tracestate` header.
+	 * @returns {Object} The new trace context, as returned by `Logger.getTraceContext`.
+	 * @throws {Error} Throws an error if the trace ID is not 32 lowercase hex digits.
+	 * @example Logger.startTrace();
+	 */
+	startTrace: {
+		value: ({traceId = randomHex(16), tracestate} = {}) => {
+			if(!/^[0-9a-f]{32}$/.test(traceId) || /^0+$/.test(traceId)){
+				throw new Error(`${traceId} is not a valid trace ID`);
+			}
+			traceContext = {traceId, spanId: randomHex(8), ...tracestate !== undefined && {tracestate}};
+			return Logger.getTraceContext();
+		}
+	},
+	/**
+	 * Poll a JSON document for the global level, category levels and enabled transports, applying each change live,
+	 * e.g. to raise logging for a cohort during an incident: `{"level": "info", "categories": {"checkout/*": "debug"},
+	 * "transports": {"default": false, "api": {"level": "warn", "include": ["checkout/*"]}}}`.  A transport may be
+	 * enabled with `true`, or with the `level`, `include` and `exclude` options of `addTransport`.  A document that cannot be fetched or is not valid
+	 * is reported and ignored, keeping the last good configuration.  Calling it again replaces the polling.
+	 *
+	 * @function
+	 * @name useRemoteConfig
+	 * @memberof Logger
+	 * @param {Object} options - The options.
+	 * @param {string} options.url - The URL of the document.
+	 * @param {number} [options.interval=60000] - How often to fetch the document, in milliseconds.
+	 * @param {Object} [options.transports={}] - Transports the document may enable, by name, besides the current ones.
+	 * @param {Object} [options.init] - Options for `fetch`, e.g. credentials or headers.
+	 * @returns {{refresh: Function, stop: Function}} `refresh()` fetches the document now and resolves to the
+	 * configuration in effect; `stop()` ends the polling, keeping the configuration.
+	 * @example Logger.useRemoteConfig({url: '/logging.json', interval: 30000, transports: {api: apiTransport}});
+	 */
+	useRemoteConfig: {
+		value: ({url, interval = 60000, transports = {}, init} = {}) => {
+			stopRemoteConfig?.();
+			const remoteConfig = pollRemoteConfig({url, interval, init: {cache: 'no-store', ...init}}, {
+				Logger,
+				available: {...Logger.state.transports, ...transports},
+				transportOptions: ['level', 'include', 'exclude'],
+				enable: (name, transport, options) => {
+					if(options !== undefined || Logger.state.transports[name] === undefined){
+						Logger.addTransport(name, transport, options);
+					}
+				},
+				report: e => report('warn', 'The remote log configuration was not applied', e)
+			});
+			stopRemoteConfig = remoteConfig.stop;
+			return remoteConfig;
+		}
+	},
+	/**
+	 * Replace the levels, e.g. to add `fatal`, `audit` or `notice`.  Every Logger gets a method for each level, and
+	 * Logger an uppercase constant.  If the current level is no longer defined, the most verbose level is used;
+	 * category levels that are no longer defined are removed, and so are transport levels, letting those transports
+	 * receive every level again.
+	 *
+	 * @function
+	 * @name setLevels
+	 * @memberof Logger
+	 * @param {Object} [priorities] - The levels and their priorities, lower being more severe; the default levels
+	 * when omitted.
+	 * @param {Object} [options] - The options.
+	 * @param {Object} [options.consoleMethod={}] - The console method ConsoleTransport uses for a level, by level;
+	 * otherwise levels named after a console method use it, and others use `console.debug`.
+	 * @throws {Error} Throws an error if a level or console method is not valid, or two levels share a priority.
+	 * @example Logger.setLevels({fatal: 0, error: 1, warn: 2, audit: 3, info: 4, debug: 5}, {consoleMethod: {fatal: 'error', audit: 'info'}});
+	 */
+	setLevels: {
+		value: (priorities = defaultLevels, {consoleMethod: methods = {}} = {}) => {
+			const names = Object.keys(priorities);
+			// levels of the same priority would be told apart by winston in node.js, but not here
+			if(names.length === 0 || new Set(Object.values(priorities)).size < names.length){
+				throw new Error(`${JSON.stringify(priorities)} is not a valid level set`);
+			}
+			names.forEach((name) => {
+				const taken = instanceMethods.includes(name) || (name in Logger.prototype && !levels.includes(name));
+				if(!/^[a-z][A-Za-z0-9]*$/.test(name) || taken || !Number.isInteger(priorities[name]) || priorities[name] < 0){
+					throw new Error(`${name} is not a valid level`);
+				}
+			});
+			Object.entries(methods).forEach(([level, method]) => {
+				if(!consoleOutputs.includes(method)){
+					throw new Error(`${method} is not a valid console method for ${level}`);
+				}
+			});
+			// the summaries of collapsed duplicates are delivered at the levels they were collapsed at
+			rateLimiter.summarize();
+			const previous = [...levels];
+			levels.splice(0, levels.length, 'noop', ...names.sort((a, b) => priorities[a] - priorities[b]));
+			consoleMethods = {...methods};
+			defineLevels(previous);
+			if(!levels.includes(Logger.state.currentLevel)){
+				Logger.state.currentLevel = levels[levels.length - 1];
+			}
+			Object.entries(Logger.state.categoryLevels)
+				.filter(([_pattern, level]) => !levels.includes(level))
+				.forEach(([pattern]) => delete Logger.state.categoryLevels[pattern]);
+			Object.values(Logger.state.transportFilters)
+				.filter(options => options.level !== undefined && !levels.includes(options.level))
+				.forEach((options) => {
+					options.level = undefined;
+				});
 		}
 	},
 	/**
-	 * Set the log level for the logger.
+	 * Set the log level for the logger, either globally or for the categories matching a pattern.
+	 * Patterns may be an exact category, a hierarchical prefix (`checkout` covers `checkout/cart.js`), or a glob
+	 * using `*`.  The most specific matching rule wins for each record.
 	 *
 	 * @function
 	 * @name setLogLevel
 	 * @memberof Logger
-	 * @param {string} newLevel - The new log level to be set.
+	 * @param {string|Object} newLevel - The new log level to be set, or a map of category patterns to levels.
+	 * @param {string} [category] - The category pattern the level applies to.
 	 * @throws {Error} Throws an error if the provided log level is not valid.
+	 * @example Logger.setLogLevel('debug', 'checkout/*');
+	 * @example Logger.setLogLevel({'checkout/*': 'debug', 'checkout/payment.js': 'trace'});
 	 */
 	setLogLevel: {
-		value: (newLevel) => {
-			if(levels.some(level => level === newLevel)){
+		value: (newLevel, category) => {
+			if(newLevel instanceof Object){
+				Object.entries(newLevel).forEach(([pattern, level]) => Logger.setLogLevel(level, pattern));
+				return;
+			}
+			if(!levels.some(level => level === newLevel)){
+				throw new Error(`${newLevel} is not a valid logger level`);
+			}
+			if(category === undefined){
 				Logger.state.currentLevel = newLevel;
 			}else{
-				throw new Error(`${newLevel} is not a valid logger level`);
+				compileCategory(category);
+				Logger.state.categoryLevels[category] = newLevel;
 			}
 		}
 	}
 });
 Logger.addTransport('default', ConsoleTransport({}));
 
-levels.reduce((acc, cur) => {
-	Object.defineProperty(acc, cur.toUpperCase(), {
-		enumerable: true,
-		get: () => cur
-	});
-	return acc;
-}, Logger);
+/**
+ * Close a transport that is no longer added under any name, so it can remove its page listeners.
+ *
+ * @param {Object} [transport] - The transport.
+ */
+function release(transport){
+	if(transport !== undefined && !Object.values(Logger.state.transports).includes(transport)){
+		transport.close?.();
+	}
+}
 
 /**
- * ConsoleTransport is for logging messages to the console.
- * It supports optional styling, grouping, or table formatting.
+ * Call the console on the logger's own behalf, so the call is not captured by `Logger.captureGlobalErrors`.
  *
- * @param {Object} config - The configuration object for the ConsoleTransport.
- * @constructor
+ * @param {string} method - The console method to call.
+ * @param {...any} args - The arguments for the console method.
  */
-export function ConsoleTransport(config){
-	if(!new.target){
-		return new ConsoleTransport(...arguments);
+function report(method, ...args){
+	internalDepth++;
+	try{
+		console[method](...args);
+	}finally{
+		internalDepth--;
 	}
-	Object.defineProperty(this, 'log', {
-		/**
-		 * Log a message to the console with optional styling, grouping, or table formatting.
-		 *
-		 * @param {Object} params - The parameters for logging.
-		 * @param {string} params.msg - The main message to be logged.
-		 * @param {string} params.level - The log level ('info', 'warn', 'error', etc.).
-		 * @param {string} [params.category] - The category or context of the log message (typically the filename).
-		 * @param {boolean} [params.isTable=false] - Whether to format the log message as a table.
-		 * @param {string} [params.group=undefined] - The console group method ('group', 'groupCollapsed', 'groupEnd').
-		 * @param {Array} [params.style=undefined] - A pair of CSS strings to style the date and category fields.
-		 * Additional styling can be applied by embedding the placeholder, `%c`, in the msg field and including the CSS
-		 * in the args.
-		 * @param {number} [params.timestamp] - The timestamp to include in the log message.
-		 * @param {Array} [params.args=[]] - Additional arguments to be included in the log message.
-		 *
-		 * @example
-		 * {
-		 *   msg: 'Log message',
-		 *   level: 'info',
-		 *   category: 'file.js',
-		 *   isTable: false,
-		 *   group: 'group',
-		 *   style: ['color: blue;', 'font-style: italic'],
-		 *   timestamp: Date.now(),
-		 *   args: [42, 'additional argument'],
-		 * };
-		 */
-		value: function(params){
-			const merged = Object.assign({}, config, params);
-			// console.log(JSON.stringify(merged, null, 2));
+}
 
-			if(merged.isTable){
-				console.table(merged.msg, merged.args);
-			}else{
-				if(merged.group){
-					console[merged.group](merged.msg);
-				}else{
-					/*
-					const dateFmt = {
-						year: '2-digit',
-						month: 'numeric',
-						day: 'numeric',
-						hour: '2-digit',
-						minute: '2-digit',
-						second: '2-digit',
-						fractionalSecondDigits: 3
-					};
-					*/
-					const [dateStyle, categoryStyle] = merged.style?.length === 2 ? merged.style : ['font-weight: bold; color: green;', 'font-style: italic;'];
-					console[merged.level](`%c${merged.timestamp || new Date().toLocaleTimeString('en-US', merged.dateFmt)}%c %c[${merged.category}]%c ${merged.msg}`, dateStyle, '', categoryStyle, '', ...merged.args || []);
-					// console.log(navigator.userAgent.includes('HeadlessChrome')
-				}
+/**
+ * Read a log configuration from a source.
+ *
+ * @param {string} source - 'url', 'localStorage' or 'cookie'.
+ * @param {string} key - The localStorage key and cookie name.
+ * @returns {Object|undefined} The configuration, as `{level, categories}`, or undefined if the source has none.
+ */
+function readConfig(source, key){
+	try{
+		if(source === 'url'){
+			const params = new URLSearchParams(globalThis.location?.search ?? '');
+			const level = params.get('log') ?? undefined;
+			const categories = params.get('logCategories');
+			if(categories === null){
+				return level === undefined ? undefined : {level};
 			}
+			return {
+				categories: Object.fromEntries(categories.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+					const [pattern, categoryLevel] = entry.split(':');
+					return [pattern, categoryLevel ?? level ?? 'debug'];
+				}))
+			};
 		}
-	});
+		const text = source === 'localStorage'
+			? globalThis.localStorage?.getItem(key)
+			: globalThis.document?.cookie.split('; ').find(cookie => cookie.startsWith(`${key}=`))?.slice(key.length + 1);
+		return text ? JSON.parse(source === 'cookie' ? decodeURIComponent(text) : text) : undefined;
+	}catch(e){
+		// storage can be blocked, and the stored value edited by hand
+		report('warn', `The log configuration in ${source} could not be read`, e);
+		return undefined;
+	}
 }
 
 /**
- * FileTransport is for logging messages to a file using the File System Access API.
- * It requires the File System Access API to function.
+ * Apply a log configuration, reporting and skipping the levels that are not valid.
  *
- * @param {Object} config - The configuration object for the FileTransport.
- * @throws {Error} Throws an error if the File System Access API is not available.
- * @constructor
- * @example
- * const fileTransport = new FileTransport({});
+ * @param {Object} config - The configuration.
+ * @param {string} [config.level] - The global level.
+ * @param {Object} [config.categories] - The levels of category patterns.
+ * @returns {Object} The configuration applied.
  */
-export function FileTransport(config){
-	if(window.showSaveFilePicker === undefined){
-		const msg = 'FileTransport requires the File System Access API';
-		console.warn(msg);
-		throw new Error(msg);
-	}
-	if(!new.target){
-		return new FileTransport(...arguments);
+function applyConfig({level, categories}){
+	const applied = {};
+	const valid = (candidate) => {
+		if(!levels.includes(candidate)){
+			report('warn', `${candidate} is not a valid logger level`);
+			return false;
+		}
+		return true;
+	};
+	if(level !== undefined && valid(level)){
+		Logger.setLogLevel(level);
+		applied.level = level;
 	}
+	Object.entries(categories ?? {}).filter(([_pattern, categoryLevel]) => valid(categoryLevel)).forEach(([pattern, categoryLevel]) => {
+		Logger.setLogLevel(categoryLevel, pattern);
+		applied.categories = {...applied.categories, [pattern]: categoryLevel};
+	});
+	return applied;
+}
 
-	Object.defineProperty(this, 'initialize', {
-		/**
-		 * Initialize the FileTransport by showing the save file picker and creating a writable file handle.
+/**
+ * Add a `performance.mark` at the start of a timing, numbered so overlapping timings with the same name each have
+ * their own, e.g. `fetch #3`.
+ *
+ * @param {string} name - The name of the timing.
+ * @returns {string|undefined} The name of the mark, or undefined if it was not added.
+ */
+function addMark(name){
+	const markName = `${name} #${++markCount}`;
+	try{
+		return globalThis.performance?.mark?.(markName) === undefined ? undefined : markName;
+	}catch(e){
+		report('warn', `The performance mark '${markName}' was not added`, e);
+		return undefined;
+	}
+}
+
+/**
+ * Add a `performance.measure` from the mark at the start of a timing to now, so timings show in the DevTools
+ * Performance panel.  Without the mark, the measure starts at the timing's start time.
+ *
+ * @param {string} name - The name of the measure.
+ * @param {number} start - The start time, from `performance.now()`.
+ * @param {string} [mark] - The name of the mark added at the start.
+ */
+function addMeasure(name, start, mark){
+	try{
+		globalThis.performance?.measure?.(name, {start: mark ?? start});
+	}catch(e){
+		report('warn', `The performance measure '${name}' was not added`, e);
+	}
+}
+
+/**
+ * Generate random lowercase hex digits, for trace and span IDs.
+ *
+ * @param {number} bytes - The number of random bytes.
+ * @returns {string}
+ */
+function randomHex(bytes){
+	return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The W3C Trace Context headers for a trace context.
+ *
+ * @param {Object} context - The trace context, as returned by `Logger.getTraceContext`.
+ * @returns {Object} The `traceparent` and, when there is one, `tracestate` headers.
+ */
+function traceHeaders({traceparent, tracestate}){
+	return {traceparent, ...tracestate !== undefined && {tracestate}};
+}
+
+/**
+ * Call fetch with the current trace context's `traceparent` and `tracestate` headers, unless the request already
+ * has them, so the server can stamp its records for the request with the same trace ID.
+ *
+ * @param {RequestInfo} input - The resource to fetch.
+ * @param {Object} [init={}] - The fetch options.
+ * @returns {Promise<Response>}
+ * @example const response = await tracedFetch('/api/orders', {method: 'POST', body});
+ */
+export function tracedFetch(input, init = {}){
+	const headers = new Headers(init.headers ?? (input instanceof Request ? input.headers : undefined));
+	Object.entries(traceHeaders(Logger.getTraceContext())).forEach(([name, value]) => {
+		if(!headers.has(name)){
+			headers.set(name, value);
+		}
+	});
+	return fetch(input, {...init, headers});
+}
+
+/**
+ * Hand a record to a transport once the current task completes, so logging never blocks or throws in the caller.  A
+ * transport that fails is reported rather than left to surface as an uncaught error or unhandled rejection.
+ *
+ * @param {Object} transport - The transport.
+ * @param {Object} record - The record, copied for the transport.
+ */
+function dispatch(transport, record){
+	queueMicrotask(() => {
+		const markError = (e) => {
+			if(e instanceof Object){
+				transportErrors.add(e);
+			}
+			report('error', 'A log transport failed', e);
+		};
+		try{
+			const result = transport.log({...record});
+			if(typeof result?.catch === 'function'){
+				result.catch(markError);
+			}
+		}catch(e){
+			markError(e);
+		}
+	});
+}
+
+/**
+ * The transports that may receive records of a level and category, given the level of the category and the options
+ * of each transport.
+ *
+ * @param {string} level - The level of the record.
+ * @param {string} category - The category of the record.
+ * @returns {Array} The `[name, transport]` pairs.
+ */
+function candidateTransports(level, category){
+	const threshold = levels.indexOf(resolveLevel(category));
+	// a transport may capture records below the logger's level, e.g. to keep them for bug reports
+	return Object.entries(Logger.state.transports)
+		.filter(([_name, transport]) => levels.indexOf(level) <= Math.max(threshold, levels.indexOf(transport.captureLevel)))
+		.filter(([name]) => acceptsCategory(Logger.state.transportFilters[name], level, category));
+}
+
+/**
+ * Deliver a record to transports, within their rate limits.
+ *
+ * @param {Object} record - The record.
+ * @param {Array} recipients - The `[name, transport]` pairs the record is for.
+ */
+function deliver(record, recipients){
+	recipients
+		.filter(([name]) => rateLimiter.admitTransport(name))
+		.forEach(([_name, transport]) => dispatch(transport, record));
+}
+
+/**
+ * Whether a transport's options let it receive records of a level and category.
+ *
+ * @param {Object} [options] - The transport's options, as given to `Logger.addTransport`.
+ * @param {string} level - The level of the record.
+ * @param {string} category - The category of the record.
+ * @returns {boolean}
+ */
+function acceptsCategory(options, level, category){
+	if(options === undefined){
+		return true;
+	}
+	const {level: minimum, include, exclude} = options;
+	return (minimum === undefined || levels.indexOf(level) <= levels.indexOf(minimum))
+		&& (include === undefined || include.some(pattern => matchCategory(pattern, category) >= 0))
+		&& !exclude.some(pattern => matchCategory(pattern, category) >= 0);
+}
+
+/**
+ * Whether a transport's filter accepts a record; a filter that throws is reported and rejects the record.
+ *
+ * @param {Object} [options] - The transport's options, as given to `Logger.addTransport`.
+ * @param {Object} record - The record.
+ * @returns {boolean}
+ */
+function acceptsRecord(options, record){
+	if(options?.filter === undefined){
+		return true;
+	}
+	try{
+		return Boolean(options.filter(record));
+	}catch(e){
+		report('error', e);
+		return false;
+	}
+}
+
+/**
+ * Decide whether a record is delivered, given the rate limit of its category.
+ *
+ * @param {Object} record - The record.
+ * @returns {boolean} Whether to deliver the record.
+ */
+function admit(record){
+	let key;
+	try{
+		key = JSON.stringify([record.level, record.msg, record.args]);
+	}catch(e){
+		// a record that cannot be compared is never a duplicate
+	}
+	return rateLimiter.admit(record.category, record.level, key);
+}
+
+/**
+ * Deliver a summary of collapsed duplicates to the transports that would receive the record now, as they may have
+ * changed since it was logged.
+ *
+ * @param {Object} summary - The summary.
+ * @param {string} summary.category - The category.
+ * @param {string} summary.level - The level of the record.
+ * @param {string} summary.message - The summary message.
+ * @param {number} summary.repeated - The number of duplicates.
+ */
+function deliverSummary({category, level, message, repeated}){
+	const record = {level, msg: message, category, repeated};
+	deliver(record, candidateTransports(level, category).filter(([name]) => acceptsRecord(Logger.state.transportFilters[name], record)));
+}
+
+/**
+ * Replace the values of interpolated request headers according to the redaction rules.  Headers given literally in
+ * the template, like the API's own credentials, are kept.
+ *
+ * @param {Object} [templateHeaders={}] - The headers of the template.
+ * @param {Object} [headers={}] - The interpolated headers.
+ * @returns {Object} The headers to send.
+ */
+function scrubHeaders(templateHeaders = {}, headers = {}){
+	if(redaction === undefined){
+		return headers;
+	}
+	return Object.entries(headers).reduce((scrubbed, [name, value]) => {
+		const template = templateHeaders[name];
+		const redacted = typeof template === 'string' && template.includes('{{') ? redactValue({[name]: value}, redaction) : {[name]: value};
+		return Object.assign(scrubbed, redacted);
+	}, {});
+}
+
+// the initial hash values and round constants of SHA-256, from the fractional parts of the roots of the first primes
+const sha256Constants = (() => {
+	const primes = [];
+	for(let n = 2; primes.length < 64; n++){
+		if(primes.every(prime => n % prime !== 0)){
+			primes.push(n);
+		}
+	}
+	const fraction = value => Math.floor((value - Math.floor(value)) * 2 ** 32);
+	return {
+		initial: primes.slice(0, 8).map(prime => fraction(Math.sqrt(prime))),
+		rounds: primes.map(prime => fraction(Math.cbrt(prime)))
+	};
+})();
+
+/**
+ * Calculate the SHA-256 digest of a string synchronously, as redaction happens while logging.
+ *
+ * @param {string} text - The text to digest, as UTF-8.
+ * @returns {string} The digest in hex.
+ */
+function sha256(text){
+	const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+	const bytes = new TextEncoder().encode(text);
+	const length = Math.ceil((bytes.length + 9) / 64) * 64;
+	const data = new Uint8Array(length);
+	data.set(bytes);
+	data[bytes.length] = 0x80;
+	const view = new DataView(data.buffer);
+	view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+	view.setUint32(length - 4, bytes.length * 8 >>> 0);
+	let hash = [...sha256Constants.initial];
+	const w = new Uint32Array(64);
+	for(let offset = 0; offset < length; offset += 64){
+		for(let i = 0; i < 64; i++){
+			w[i] = i < 16
+				? view.getUint32(offset + i * 4)
+				: (rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10)) + w[i - 7]
+					+ (rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3)) + w[i - 16];
+		}
+		let [a, b, c, d, e, f, g, h] = hash;
+		for(let i = 0; i < 64; i++){
+			const t1 = h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + sha256Constants.rounds[i] + w[i];
+			const t2 = (rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+			[h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+		}
+		hash = hash.map((value, i) => (value + [a, b, c, d, e, f, g, h][i]) >>> 0);
+	}
+	return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Resolve the log level for a category from the most specific matching override, or the global level.
+ *
+ * @param {string} category - The category of the record.
+ * @returns {string} The log level in effect for the category.
+ */
+function resolveLevel(category){
+	return matchRules(Logger.state.categoryLevels, category) ?? Logger.state.currentLevel;
+}
+
+/**
+ * Give every Logger a method for each level, bound to the Logger, and Logger an uppercase constant for each level,
+ * removing those of the levels no longer in use.
+ *
+ * @param {Array<string>} [previous=[]] - The levels being replaced.
+ */
+function defineLevels(previous = []){
+	previous.filter(level => !levels.includes(level)).forEach((level) => {
+		delete Logger.prototype[level];
+		delete Logger[level.toUpperCase()];
+	});
+	levels.forEach((level) => {
+		Object.defineProperty(Logger.prototype, level, {
+			configurable: true,
+			get(){
+				if(!levelMethods.has(this)){
+					levelMethods.set(this, {});
+				}
+				const methods = levelMethods.get(this);
+				methods[level] ??= level === 'noop' ? () => {} : this.log.bind(this, level);
+				return methods[level];
+			}
+		});
+		Object.defineProperty(Logger, level.toUpperCase(), {
+			configurable: true,
+			enumerable: true,
+			get: () => level
+		});
+	});
+}
+defineLevels();
+
+/**
+ * The console method ConsoleTransport writes a level with.
+ *
+ * @param {string} level - The level.
+ * @returns {string}
+ */
+function consoleMethod(level){
+	return consoleMethods[level] ?? (consoleOutputs.includes(level) ? level : 'debug');
+}
+
+/**
+ * ConsoleTransport is for logging messages to the console.
+ * It supports optional styling, grouping, or table formatting.  Records captured from the console by
+ * `Logger.captureGlobalErrors` are not repeated.
+ *
+ * @param {Object} config - The configuration object for the ConsoleTransport.
+ * @param {string|Object} [config.layout] - A pattern, like `'%d{ABSOLUTE} %-5p [%c] %m'`, or a layout, to render
+ * messages as plain text instead of the styled default.
+ * @constructor
+ */
+export function ConsoleTransport(config){
+	if(!new.target){
+		return new ConsoleTransport(...arguments);
+	}
+	const layout = resolveLayout(config?.layout);
+	Object.defineProperty(this, 'log', {
+		/**
+		 * Log a message to the console with optional styling, grouping, or table formatting.
+		 *
+		 * @param {Object} params - The parameters for logging.
+		 * @param {string} params.msg - The main message to be logged.
+		 * @param {string} params.level - The log level ('info', 'warn', 'error', etc.).
+		 * @param {string} [params.category] - The category or context of the log message (typically the filename).
+		 * @param {boolean} [params.isTable=false] - Whether to format the log message as a table.
+		 * @param {string} [params.group=undefined] - The console group method ('group', 'groupCollapsed', 'groupEnd').
+		 * @param {Array} [params.style=undefined] - A pair of CSS strings to style the date and category fields.
+		 * Additional styling can be applied by embedding the placeholder, `%c`, in the msg field and including the CSS
+		 * in the args.
+		 * @param {number} [params.timestamp] - The timestamp to include in the log message.
+		 * @param {Array} [params.args=[]] - Additional arguments to be included in the log message.
+		 * @param {Object} [params.meta] - Metadata bound to the logger, shown after the arguments.
+		 *
+		 * @example
+		 * {
+		 *   msg: 'Log message',
+		 *   level: 'info',
+		 *   category: 'file.js',
+		 *   isTable: false,
+		 *   group: 'group',
+		 *   style: ['color: blue;', 'font-style: italic'],
+		 *   timestamp: Date.now(),
+		 *   args: [42, 'additional argument'],
+		 * };
+		 */
+		value: function(params){
+			const merged = Object.assign({}, config, params);
+			// console.log(JSON.stringify(merged, null, 2));
+
+			if(merged.source === 'console'){
+				return;
+			}
+			if(merged.isTable){
+				report('table', merged.msg, merged.args);
+			}else{
+				if(merged.group){
+					report(merged.group, merged.msg);
+				}else if(layout !== undefined){
+					report(consoleMethod(merged.level), layout.format(merged).replace(/\n$/, ''));
+				}else{
+					const [dateStyle, categoryStyle] = merged.style?.length === 2 ? merged.style : ['font-weight: bold; color: green;', 'font-style: italic;'];
+					report(consoleMethod(merged.level), `%c${merged.timestamp || new Date().toLocaleTimeString('en-US', merged.dateFmt)}%c %c[${merged.category}]%c ${merged.msg}`, dateStyle, '', categoryStyle, '', ...merged.args || [], ...merged.meta ? [merged.meta] : []);
+					// console.log(navigator.userAgent.includes('HeadlessChrome')
+				}
+			}
+		}
+	});
+}
+
+/**
+ * FileTransport is for logging messages to a file using the File System Access API.
+ * It requires the File System Access API to function.  Tables are written as aligned text grids and grouped
+ * messages are indented by their nesting depth.
+ * Records are written in order through a single queue that is flushed periodically.  When `maxSize` is set, the
+ * user picks a directory instead of a file, and the log is rotated into `app.1.log`, `app.2.log`, etc.
+ *
+ * @param {Object} config - The configuration object for the FileTransport.
+ * @param {number} [config.flushInterval=1000] - How often, in milliseconds, queued records are written.
+ * @param {number} [config.maxSize] - Rotate the log once it would exceed this many bytes.
+ * @param {number} [config.maxFiles=5] - How many log files to keep when rotating, including the current one.
+ * @param {string} [config.fileName='app.log'] - The name of the current log file when rotating.
+ * @param {string|Object} [config.layout] - A pattern, like `'%d{ISO} %-5p [%c] %m%n'`, or a layout, such as
+ * `new JSONLayout()`, to render each record with.
+ * @throws {Error} Throws an error if the File System Access API is not available.
+ * @constructor
+ * @example
+ * const fileTransport = new FileTransport({});
+ * @example
+ * const rotatingTransport = new FileTransport({maxSize: 1048576, maxFiles: 3});
+ */
+export function FileTransport(config){
+	const picker = config?.maxSize ? 'showDirectoryPicker' : 'showSaveFilePicker';
+	if(window[picker] === undefined){
+		const msg = 'FileTransport requires the File System Access API';
+		report('warn', msg);
+		throw new Error(msg);
+	}
+	if(!new.target){
+		return new FileTransport(...arguments);
+	}
+	const layout = resolveLayout(config?.layout);
+	const groups = [];
+	let writer;
+	let listening = false;
+
+	/**
+	 * Add or remove the listener writing the queue when the page goes away, unless it already is, or is not, added.
+	 *
+	 * @param {boolean} listen - Whether to add it.
+	 */
+	const setListening = (listen) => {
+		if(listening !== listen && typeof window.addEventListener === 'function'){
+			listening = listen;
+			window[listen ? 'addEventListener' : 'removeEventListener']('pagehide', writer.flush);
+		}
+	};
+
+	Object.defineProperty(this, 'close', {
+		/**
+		 * Remove the page listener and write any queued records; the Logger closes a transport when it is removed.
+		 * Logging again adds the listener back.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		value: () => {
+			if(writer === undefined){
+				return Promise.resolve();
+			}
+			setListening(false);
+			return writer.flush();
+		}
+	});
+	Object.defineProperty(this, 'flush', {
+		/**
+		 * Write any queued records now.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		value: () => writer ? writer.flush() : Promise.resolve()
+	});
+	Object.defineProperty(this, 'initialize', {
+		/**
+		 * Initialize the FileTransport by showing the save file (or directory) picker and creating the writer.
 		 *
 		 * @async
 		 */
 		value: async function(){
 			try{
-				const fileHandle = await window.showSaveFilePicker({
-					types: [{
-						description: 'Log Files',
-						accept: {'text/plain': ['.log']},
-					}],
-				});
+				if(picker === 'showDirectoryPicker'){
+					writer = new LogWriter({
+						...config,
+						directory: await window.showDirectoryPicker({mode: 'readwrite'})
+					});
+				}else{
+					writer = new LogWriter({
+						...config,
+						fileHandle: await window.showSaveFilePicker({
+							types: [{
+								description: 'Log Files',
+								accept: {'text/plain': ['.log']},
+							}],
+						})
+					});
+				}
+				setListening(true);
 				Object.defineProperty(this, 'log', {
 					/**
 					 * Log a message to a file.
@@ -232,10 +1243,12 @@ export function FileTransport(config){
 					 * @param {string} params.msg - The main message to be logged.
 					 * @param {string} params.level - The log level ('info', 'warn', 'error', etc.).
 					 * @param {string} [params.category] - The category or context of the log message (typically the filename).
+					 * @param {boolean} [params.isTable=false] - Whether to format the log message as a table.
+					 * @param {string} [params.group=undefined] - The console group method ('group', 'groupCollapsed', 'groupEnd').
 					 * @param {number} [params.timestamp] - The timestamp to include in the log message.
-					 * @param {Array} [params.args=[]] - Additional arguments to be included in the log message.
-					 * @async
-					 * @throws {Error} Throws an error if writing to file fails.
+					 * @param {Array} [params.args=[]] - Additional arguments to be included in the log message, or the
+					 * columns to include when logging a table.
+					 * @param {Object} [params.meta] - Metadata bound to the logger, appended to the line.
 					 * @example
 					 * {
 					 *   msg: 'Log message',
@@ -245,24 +1258,418 @@ export function FileTransport(config){
 					 *   args: [42, 'additional argument'],
 					 * };
 					 */
-					//TODO: implement table and grouping
-					value: async function(params){
+					value: function(params){
+						setListening(true);
 						const merged = Object.assign({}, config, params);
 						// console.log(JSON.stringify(merged, null, 2));
-
-						let writable;
-						try{
-							writable = await fileHandle.createWritable({keepExistingData: true});
-							await writable.write(`${merged.timestamp || new Date().toLocaleTimeString('en-US', merged.dateFmt)} [${merged.category}] ${merged.level}: ${merged.msg}\n`);
-						}catch(e){
-							console.error(e);
-						}finally{
-							await writable.close();
+						const text = renderText(merged, groups, layout);
+						if(text !== undefined){
+							writer.write(text);
 						}
-					}
+					},
+					configurable: true
 				});
 			}catch(e){
-				console.error(e);
+				report('error', e);
+			}
+		}
+	});
+}
+
+/**
+ * OPFSTransport is for logging messages to rotating files in the Origin Private File System.  Unlike FileTransport
+ * it needs no user gesture, so it can be enabled at startup, and it works inside workers.  The log files share a
+ * storage quota, and can be exported as a single Blob or as a zip for support tickets.  Browsers without writable file
+ * streams, such as Safari, can only write to it from a worker.
+ *
+ * @param {Object} [config] - The configuration object for the OPFSTransport.
+ * @param {string} [config.directoryName='log-ng'] - The directory in the Origin Private File System to write to.
+ * @param {string} [config.fileName='app.log'] - The name of the current log file.
+ * @param {number} [config.quota=5242880] - The most bytes all of the log files may use together.
+ * @param {number} [config.maxFiles=5] - How many log files to keep, including the current one.
+ * @param {number} [config.flushInterval=1000] - How often, in milliseconds, queued records are written.
+ * @param {string|Object} [config.layout] - A pattern or a layout to render each record with, as for FileTransport.
+ * @throws {Error} Throws an error if the Origin Private File System is not available, or cannot be written to here.
+ * @constructor
+ * @example
+ * Logger.addTransport('opfs', new OPFSTransport({quota: 10485760, maxFiles: 4}));
+ */
+export function OPFSTransport(config = {}){
+	if(globalThis.navigator?.storage?.getDirectory === undefined){
+		const msg = 'OPFSTransport requires the Origin Private File System';
+		report('warn', msg);
+		throw new Error(msg);
+	}
+	const file = globalThis.FileSystemFileHandle?.prototype;
+	if(file !== undefined && !('createWritable' in file) && !('createSyncAccessHandle' in file)){
+		const msg = 'OPFSTransport requires writable file streams, or a worker for sync access handles';
+		report('warn', msg);
+		throw new Error(msg);
+	}
+	if(!new.target){
+		return new OPFSTransport(...arguments);
+	}
+	const {directoryName = 'log-ng', quota = 5242880, maxFiles = 5} = config;
+	const layout = resolveLayout(config.layout);
+	const groups = [];
+	const directory = navigator.storage.getDirectory().then(root => root.getDirectoryHandle(directoryName, {create: true}));
+	// failures are reported when the queue is flushed
+	directory.catch(() => {});
+	const writer = new LogWriter({
+		...config,
+		directory,
+		maxFiles,
+		maxSize: Math.floor(quota / maxFiles)
+	});
+	let listening = false;
+
+	/**
+	 * Add or remove the listener writing the queue when the page goes away, unless it already is, or is not, added.
+	 *
+	 * @param {boolean} listen - Whether to add it.
+	 */
+	const setListening = (listen) => {
+		if(listening !== listen && typeof globalThis.addEventListener === 'function'){
+			listening = listen;
+			globalThis[listen ? 'addEventListener' : 'removeEventListener']('pagehide', writer.flush);
+		}
+	};
+
+	setListening(true);
+
+	Object.defineProperties(this, {
+		/**
+		 * Remove the page listener and write any queued records; the Logger closes a transport when it is removed.
+		 * Logging again adds the listener back.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		close: {
+			value: () => {
+				setListening(false);
+				return writer.flush();
+			}
+		},
+		/**
+		 * Export the log files, oldest first, as one text Blob or as a zip holding each file.
+		 *
+		 * @param {Object} [options] - The export options.
+		 * @param {string} [options.format='text'] - Either 'text' or 'zip'.
+		 * @returns {Promise<Blob>}
+		 */
+		export: {
+			value: async ({format = 'text'} = {}) => {
+				await writer.flush();
+				const files = await writer.files();
+				if(format === 'zip'){
+					return zip(files);
+				}
+				return new Blob(files.map(({file}) => file), {type: 'text/plain'});
+			}
+		},
+		/**
+		 * Write any queued records now.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		flush: {
+			value: () => writer.flush()
+		},
+		/**
+		 * Log a message to the Origin Private File System.
+		 *
+		 * @param {Object} params - The parameters for logging, as for FileTransport.
+		 */
+		log: {
+			value: function(params){
+				setListening(true);
+				const text = renderText(Object.assign({}, config, params), groups, layout);
+				if(text !== undefined){
+					writer.write(text);
+				}
+			}
+		}
+	});
+}
+
+const crcTable = Array.from({length: 256}, (_, n) => {
+	let c = n;
+	for(let k = 0; k < 8; k++){
+		c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 checksum used by the zip format.
+ *
+ * @param {Uint8Array} data - The bytes to checksum.
+ * @returns {number}
+ */
+function crc32(data){
+	let crc = 0xFFFFFFFF;
+	for(const byte of data){
+		crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package files into an uncompressed zip archive.
+ *
+ * @param {Array<{name: string, file: File}>} files - The files to include.
+ * @returns {Promise<Blob>} The zip archive.
+ */
+async function zip(files){
+	const encoder = new TextEncoder();
+	const entries = [];
+	const directory = [];
+	let offset = 0;
+	for(const {name, file} of files){
+		const data = new Uint8Array(await file.arrayBuffer());
+		const nameBytes = encoder.encode(name);
+		const crc = crc32(data);
+		const modified = new Date(file.lastModified || Date.now());
+		const time = (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1);
+		const date = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+
+		const header = new DataView(new ArrayBuffer(30));
+		header.setUint32(0, 0x04034b50, true);
+		header.setUint16(4, 20, true);
+		header.setUint16(6, 0x0800, true);
+		header.setUint16(10, time, true);
+		header.setUint16(12, date, true);
+		header.setUint32(14, crc, true);
+		header.setUint32(18, data.length, true);
+		header.setUint32(22, data.length, true);
+		header.setUint16(26, nameBytes.length, true);
+		entries.push(header, nameBytes, data);
+
+		const record = new DataView(new ArrayBuffer(46));
+		record.setUint32(0, 0x02014b50, true);
+		record.setUint16(4, 20, true);
+		record.setUint16(6, 20, true);
+		record.setUint16(8, 0x0800, true);
+		record.setUint16(12, time, true);
+		record.setUint16(14, date, true);
+		record.setUint32(16, crc, true);
+		record.setUint32(20, data.length, true);
+		record.setUint32(24, data.length, true);
+		record.setUint16(28, nameBytes.length, true);
+		record.setUint32(42, offset, true);
+		directory.push(record, nameBytes);
+
+		offset += header.byteLength + nameBytes.length + data.length;
+	}
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, files.length, true);
+	end.setUint16(10, files.length, true);
+	end.setUint32(12, directory.reduce((acc, part) => acc + part.byteLength, 0), true);
+	end.setUint32(16, offset, true);
+	return new Blob([...entries, ...directory, end], {type: 'application/zip'});
+}
+
+/**
+ * Render a record as lines of text for a file, writing tables as text grids, indenting grouped records, and
+ * appending the record's metadata.  With a layout, the layout renders the record, or the line above a table.
+ *
+ * @param {Object} merged - The record merged with the transport config.
+ * @param {Array<string>} groups - The labels of the open groups, updated in place.
+ * @param {Object} [layout] - The layout to render the record with.
+ * @returns {string|undefined} The text to write, or undefined if there is nothing to write.
+ */
+function renderText(merged, groups, layout){
+	const groupPath = trackGroup(groups, merged);
+	if(merged.group === 'groupEnd' && !merged.msg){
+		return undefined;
+	}
+
+	const indent = '  '.repeat(groupPath.length - (merged.group ? 1 : 0));
+	if(layout !== undefined){
+		const text = layout.format(merged.isTable ? {...merged, msg: '', args: []} : merged);
+		const line = `${indent}${text.endsWith('\n') ? text : `${text}\n`}`;
+		return merged.isTable ? `${line}${renderTable(tabulate(merged.msg, merged.args)).map(row => `${indent}${row}\n`).join('')}` : line;
+	}
+	const prefix = `${indent}${merged.timestamp || new Date().toLocaleTimeString('en-US', merged.dateFmt)} [${merged.category}] ${merged.level}:`;
+	const meta = merged.meta ? ` ${stringify(merged.meta)}` : '';
+	const line = merged.isTable
+		? [`${prefix}${meta}`, ...renderTable(tabulate(merged.msg, merged.args)).map(row => `${indent}${row}`)].join('\n')
+		: `${prefix} ${formatMessage(merged.msg, merged.args)}${meta}`;
+	return `${line}\n`;
+}
+
+/**
+ * Write to a file from a position, keeping what comes before it.  Browsers without writable file streams, such as
+ * Safari, only write to the Origin Private File System through a sync access handle, which is limited to workers.
+ *
+ * @param {FileSystemFileHandle} handle - The file to write to.
+ * @param {string|Blob} data - What to write.
+ * @param {number} position - Where to write it, in bytes.
+ * @returns {Promise<void>}
+ */
+async function writeFile(handle, data, position){
+	if(typeof handle.createWritable === 'function'){
+		const writable = await handle.createWritable({keepExistingData: position > 0});
+		try{
+			await writable.seek(position);
+			await writable.write(data);
+		}finally{
+			await writable.close();
+		}
+		return;
+	}
+	const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(await data.arrayBuffer());
+	const access = await handle.createSyncAccessHandle();
+	try{
+		access.truncate(position);
+		access.write(bytes, {at: position});
+		access.flush();
+	}finally{
+		access.close();
+	}
+}
+
+/**
+ * LogWriter appends text to a log file through a single serialized queue, so writes never interleave, and flushes
+ * the queue periodically rather than opening the file for every record.  Given a directory, it rotates the log once
+ * it would exceed `maxSize`, keeping `maxFiles` files: `app.log`, `app.1.log`, `app.2.log`, etc.
+ *
+ * @param {Object} config - The configuration object for the LogWriter.
+ * @param {FileSystemFileHandle} [config.fileHandle] - The file to append to when not rotating.
+ * @param {FileSystemDirectoryHandle|Promise<FileSystemDirectoryHandle>} [config.directory] - The directory holding the
+ * rotated log files.
+ * @param {string} [config.fileName='app.log'] - The name of the current log file in the directory.
+ * @param {number} [config.maxSize=Infinity] - Rotate the log once it would exceed this many bytes.
+ * @param {number} [config.maxFiles=5] - How many log files to keep, including the current one.
+ * @param {number} [config.flushInterval=1000] - How often, in milliseconds, queued text is written.
+ * @constructor
+ */
+function LogWriter(config){
+	if(!new.target){
+		return new LogWriter(...arguments);
+	}
+	const {fileName = 'app.log', maxSize = Infinity, maxFiles = 5, flushInterval = 1000} = config;
+	const encoder = new TextEncoder();
+	const extension = fileName.lastIndexOf('.') > 0 ? fileName.slice(fileName.lastIndexOf('.')) : '';
+	const baseName = fileName.slice(0, fileName.length - extension.length);
+	let directory = config.directory;
+	let fileHandle = config.fileHandle;
+	let size;
+	let queued = [];
+	let timer;
+	let chain = Promise.resolve();
+
+	/**
+	 * The name of a log file, where 0 is the current log and higher numbers are older.
+	 *
+	 * @param {number} index - The age of the file.
+	 * @returns {string}
+	 */
+	const nameOf = index => index === 0 ? fileName : `${baseName}.${index}${extension}`;
+
+	/**
+	 * Open the current log file and find where to append.
+	 */
+	const open = async () => {
+		if(directory){
+			directory = await directory;
+			fileHandle = await directory.getFileHandle(fileName, {create: true});
+		}
+		size = (await fileHandle.getFile()).size;
+	};
+
+	/**
+	 * Append text to the end of the current log file.
+	 *
+	 * @param {string} text - The text to append.
+	 */
+	const append = async (text) => {
+		if(text === ''){
+			return;
+		}
+		await writeFile(fileHandle, text, size);
+		size += encoder.encode(text).length;
+	};
+
+	/**
+	 * Shift each log file to the next older name, dropping the oldest, and start a new current log.
+	 */
+	const rotate = async () => {
+		await directory.removeEntry(nameOf(maxFiles - 1)).catch(() => {});
+		for(let i = maxFiles - 2; i >= 0; i--){
+			let source;
+			try{
+				source = await directory.getFileHandle(nameOf(i));
+			}catch(_e){
+				continue;
+			}
+			const target = await directory.getFileHandle(nameOf(i + 1), {create: true});
+			await writeFile(target, await source.getFile(), 0);
+			await directory.removeEntry(nameOf(i));
+		}
+		await open();
+	};
+
+	/**
+	 * Write the queued text, rotating between records when the log would exceed `maxSize`.
+	 */
+	const writeQueued = async () => {
+		if(size === undefined){
+			await open();
+		}
+		const records = queued;
+		queued = [];
+		let text = '';
+		let textSize = 0;
+		for(const record of records){
+			const recordSize = encoder.encode(record).length;
+			if(directory && size + textSize > 0 && size + textSize + recordSize > maxSize){
+				await append(text);
+				await rotate();
+				text = '';
+				textSize = 0;
+			}
+			text += record;
+			textSize += recordSize;
+		}
+		await append(text);
+	};
+
+	Object.defineProperties(this, {
+		files: {
+			/**
+			 * Read the log files in the directory, oldest first.
+			 *
+			 * @returns {Promise<Array<{name: string, file: File}>>}
+			 */
+			value: async () => {
+				directory = await directory;
+				const files = [];
+				for(let i = maxFiles - 1; i >= 0; i--){
+					try{
+						files.push({name: nameOf(i), file: await (await directory.getFileHandle(nameOf(i))).getFile()});
+					}catch(_e){
+						// not rotated this far yet
+					}
+				}
+				return files;
+			}
+		},
+		flush: {
+			value: () => {
+				clearTimeout(timer);
+				timer = undefined;
+				chain = chain.then(writeQueued).catch((e) => report('error', e));
+				return chain;
+			}
+		},
+		write: {
+			value: (text) => {
+				queued.push(text);
+				if(timer === undefined){
+					timer = setTimeout(this.flush, flushInterval);
+				}
 			}
 		}
 	});
@@ -270,9 +1677,29 @@ export function FileTransport(config){
 
 /**
  * APITransport is for logging messages to an API endpoint.
- * It supports sending log messages as HTTP requests.
+ * It supports sending log messages as HTTP requests, either one request per record or in batches.
+ * In addition to the record, templates can reference `{{groupPath}}`, the labels of the enclosing groups,
+ * `{{table}}`, the columns and rows of a logged table, and `{{traceId}}`, `{{spanId}}` and `{{traceparent}}`, the
+ * trace context when the record was logged.
  *
  * @param {Object} config - The configuration object for the APITransport.
+ * @param {string|Object} [config.layout] - A pattern or a layout to render each record's body with, in place of the
+ * `body` template.
+ * @param {Object|boolean} [config.batch] - Enables batching; `true` uses the defaults.
+ * @param {number} [config.batch.maxCount=50] - Send once this many records are buffered.
+ * @param {number} [config.batch.maxBytes=60000] - Send before the rendered body exceeds this many bytes.
+ * @param {number} [config.batch.maxDelay=5000] - Send buffered records at most this many milliseconds after the first.
+ * @param {string} [config.batch.format='array'] - Send the rendered bodies as a JSON 'array' or as 'ndjson'.
+ * @param {Object|boolean} [config.retry] - Persists failed or offline requests and retries them; `true` uses the defaults.
+ * @param {number} [config.retry.baseDelay=1000] - The initial retry delay in milliseconds, doubled on each failure.
+ * @param {number} [config.retry.maxDelay=60000] - The longest delay between retries in milliseconds.
+ * @param {number} [config.retry.maxAttempts=10] - Discard a request after this many failed attempts.
+ * @param {number} [config.retry.maxSize=500] - The most requests to keep; the oldest are evicted first.
+ * @param {string} [config.retry.dbName='log-ng'] - The IndexedDB database used to persist requests, which transports
+ * share, each keeping to the requests for its own URL.  Credential headers are not persisted; those given literally
+ * in the template are sent again with the retries.
+ * @param {boolean} [config.trace=false] - Send the trace context of the (first) record as W3C `traceparent` and
+ * `tracestate` headers; `sendBeacon` cannot send headers, so include `{{traceId}}` in the body as well.
  * @constructor
  * @example
  * const apiTransport = new APITransport({
@@ -288,8 +1715,11 @@ export function FileTransport(config){
  *		  timestamp: '{{timestamp}}',
  *		  group: '{{group}}',
  *		  isTable: '{{isTable}}',
+ *		  groupPath: '{{groupPath}}',
+ *		  table: '{{table}}',
  *		  args: '{{args}}'
- *	 }
+ *	 },
+ *	 batch: {maxCount: 20, maxDelay: 2000}
  * });
  */
 export function APITransport(config){
@@ -297,6 +1727,288 @@ export function APITransport(config){
 		return new APITransport(...arguments);
 	}
 
+	const {batch: batchConfig, retry: retryConfig, trace = false, layout: layoutConfig, ...template} = config;
+	const layout = resolveLayout(layoutConfig);
+	if(layout !== undefined && template.body !== undefined){
+		throw new Error('layout is not valid alongside a body');
+	}
+	// an unknown filter would otherwise only fail once a record is logged
+	validateTemplate(template);
+	const batch = batchConfig ? Object.assign({
+		maxCount: 50,
+		maxBytes: 60000,
+		maxDelay: 5000,
+		format: 'array'
+	}, batchConfig instanceof Object ? batchConfig : {}) : undefined;
+	const retry = retryConfig ? Object.assign({
+		baseDelay: 1000,
+		maxDelay: 60000,
+		maxAttempts: 10,
+		maxSize: 500,
+		dbName: 'log-ng'
+	}, retryConfig instanceof Object ? retryConfig : {}) : undefined;
+	// an array batch holds the records themselves, so only a layout rendering JSON can fill it
+	if(layout !== undefined && batch?.format === 'array' && !(layout instanceof JSONLayout)){
+		throw new Error('layout is not valid with array batches, except a JSONLayout');
+	}
+	const outbox = retry ? new Outbox({...retry, scope: String(template.url)}) : undefined;
+	const credentials = Object.fromEntries(Object.entries(template.headers ?? {})
+		.filter(([name, value]) => credentialHeaders.includes(name.toLowerCase()) && !String(value).includes('{{')));
+	const encoder = new TextEncoder();
+	const groups = [];
+	const queue = [];
+	let queuedBytes = 0;
+	let timer;
+	let retryTimer;
+	let failures = 0;
+	let draining = false;
+
+	/**
+	 * Wait before draining the outbox, using the server's Retry-After when given, or exponential backoff with jitter.
+	 *
+	 * @param {number} [delay] - The delay requested by the server in milliseconds.
+	 */
+	const scheduleDrain = (delay) => {
+		if(retryTimer !== undefined){
+			return;
+		}
+		if(delay === undefined){
+			const backoff = Math.min(retry.maxDelay, retry.baseDelay * 2 ** failures);
+			delay = backoff / 2 + Math.random() * backoff / 2;
+		}
+		failures++;
+		retryTimer = setTimeout(() => {
+			retryTimer = undefined;
+			drain();
+		}, delay);
+	};
+
+	/**
+	 * Resend the persisted requests, oldest first, stopping at the first failure.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	const drain = async () => {
+		if(draining || !isOnline()){
+			return;
+		}
+		draining = true;
+		try{
+			for(const entry of await outbox.entries()){
+				let response;
+				try{
+					response = await fetch(entry.url, {...entry.options, headers: {...entry.options.headers, ...credentials}});
+				}catch(e){
+					report('error', e);
+				}
+				if(response !== undefined && !isRetryable(response)){
+					await outbox.remove(entry.id);
+					failures = 0;
+					continue;
+				}
+				entry.attempts++;
+				await (entry.attempts >= retry.maxAttempts ? outbox.remove(entry.id) : outbox.update(entry));
+				scheduleDrain(retryAfter(response));
+				break;
+			}
+		}catch(e){
+			report('error', e);
+		}finally{
+			draining = false;
+		}
+	};
+
+	/**
+	 * Store a request in the outbox for a later retry.
+	 *
+	 * @param {string} url - The URL to send the request to.
+	 * @param {Object} options - The fetch options.
+	 * @param {number} attempts - How many times the request has already failed.
+	 * @returns {Promise<void>}
+	 */
+	const persist = async (url, options, attempts) => {
+		const {keepalive: _keepalive, headers = {}, ...persisted} = options;
+		const stored = Object.fromEntries(Object.entries(headers).filter(([name]) => !credentialHeaders.includes(name.toLowerCase())));
+		try{
+			await outbox.push({url, options: {...persisted, headers: stored}, attempts});
+		}catch(e){
+			report('error', e);
+		}
+	};
+
+	/**
+	 * Send a request, persisting it for a later retry if it cannot be delivered now.
+	 *
+	 * @param {string} url - The URL to send the request to.
+	 * @param {Object} options - The fetch options.
+	 * @returns {Promise<void>}
+	 */
+	const deliver = async (url, options) => {
+		if(retry && (!isOnline() || retryTimer !== undefined)){
+			await persist(url, options, 0);
+			return;
+		}
+		try{
+			const response = await fetch(url, options);
+			report('debug', response);
+			if(retry && isRetryable(response)){
+				await persist(url, options, 1);
+				scheduleDrain(retryAfter(response));
+			}
+		}catch(e){
+			report('error', e);
+			if(retry){
+				await persist(url, options, 1);
+				scheduleDrain();
+			}
+		}
+	};
+
+	/**
+	 * Build the model the templates are interpolated against.
+	 *
+	 * @param {Object} params - The record.
+	 * @returns {Object} The record with the trace context, its message formatted, its group path, and its table.
+	 */
+	const toModel = (params) => ({
+		...Logger.getTraceContext(),
+		...withFormattedMessage(params),
+		groupPath: trackGroup(groups, params),
+		...params.isTable && {table: tabulate(params.msg, params.args)}
+	});
+
+	/**
+	 * Render the body of a record, with the layout or else the body template; a JSONLayout's record is parsed again
+	 * for an array batch.
+	 *
+	 * @param {Object} params - The record.
+	 * @param {Object} model - The model of the record.
+	 * @returns {any} The body.
+	 */
+	const render = (params, model) => {
+		if(layout === undefined){
+			return interpolate(template.body, model);
+		}
+		const text = layout.format(params).replace(/\n$/, '');
+		return batch?.format === 'array' ? JSON.parse(text) : text;
+	};
+
+	/**
+	 * Send the queued records as a single request.
+	 *
+	 * @param {boolean} [unloading=false] - Whether the page is going away, in which case the request must outlive it.
+	 * @returns {Promise<void>}
+	 */
+	const sendBatch = async (unloading = false) => {
+		clearTimeout(timer);
+		timer = undefined;
+		if(queue.length === 0){
+			return;
+		}
+		const records = queue.splice(0, queue.length);
+		queuedBytes = 0;
+
+		const {body: _body, ...merged} = interpolate(template, records[0].params);
+		const headers = Object.assign({}, trace && traceHeaders(records[0].params), scrubHeaders(template.headers, merged.headers));
+		const body = batch.format === 'ndjson'
+			? records.map(record => typeof record.body === 'string' ? record.body : JSON.stringify(record.body)).join('\n')
+			: JSON.stringify(records.map(record => record.body));
+		const method = merged.method || 'POST';
+
+		if(unloading && method.toUpperCase() === 'POST' && typeof navigator !== 'undefined' && navigator.sendBeacon){
+			const contentType = Object.entries(headers).find(([k]) => k.toLowerCase() === 'content-type')?.[1];
+			if(navigator.sendBeacon(merged.url, new Blob([body], {type: contentType || ''}))){
+				return;
+			}
+		}
+		await deliver(merged.url, {
+			method,
+			headers,
+			body,
+			...unloading && {keepalive: true}
+		});
+	};
+
+	// the page listeners, removed when the transport is closed and added again when it next logs
+	const listeners = [
+		...batch ? [
+			[globalThis.document, 'visibilitychange', () => {
+				if(document.visibilityState === 'hidden'){
+					sendBatch(true);
+				}
+			}],
+			[globalThis.window, 'pagehide', () => sendBatch(true)]
+		] : [],
+		...retry ? [
+			[globalThis.window, 'online', () => {
+				clearTimeout(retryTimer);
+				retryTimer = undefined;
+				drain();
+			}]
+		] : []
+	].filter(([target]) => typeof target?.addEventListener === 'function');
+	let listening = false;
+
+	/**
+	 * Add or remove the page listeners, unless they already are, or are not, added.
+	 *
+	 * @param {boolean} listen - Whether to add them.
+	 */
+	const setListening = (listen) => {
+		if(listening !== listen){
+			listening = listen;
+			listeners.forEach(([target, type, listener]) => target[listen ? 'addEventListener' : 'removeEventListener'](type, listener));
+		}
+	};
+
+	setListening(true);
+	if(retry){
+		drain();
+	}
+
+	Object.defineProperty(this, 'close', {
+		/**
+		 * Remove the page listeners and send any buffered records; the Logger closes a transport when it is removed.
+		 * Logging again adds the listeners back.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		value: () => {
+			setListening(false);
+			return batch ? sendBatch() : Promise.resolve();
+		}
+	});
+
+	Object.defineProperty(this, 'flush', {
+		/**
+		 * Send any buffered records immediately.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		value: () => batch ? sendBatch() : Promise.resolve()
+	});
+	Object.defineProperty(this, 'retry', {
+		/**
+		 * Immediately resend any requests persisted after a failure, ignoring the backoff.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		value: async () => {
+			if(retry){
+				clearTimeout(retryTimer);
+				retryTimer = undefined;
+				await drain();
+			}
+		}
+	});
+	Object.defineProperty(this, 'pending', {
+		/**
+		 * Count the requests persisted for a retry.
+		 *
+		 * @returns {Promise<number>}
+		 */
+		value: async () => retry ? (await outbox.entries()).length : 0
+	});
 	Object.defineProperty(this, 'log', {
 		/**
 		 * Log a message to an API endpoint.
@@ -305,8 +2017,12 @@ export function APITransport(config){
 		 * @param {string} params.msg - The main message to be logged.
 		 * @param {string} params.level - The log level ('info', 'warn', 'error', etc.).
 		 * @param {string} [params.category] - The category or context of the log message (typically the filename).
+		 * @param {boolean} [params.isTable=false] - Whether the log message is a table.
+		 * @param {string} [params.group=undefined] - The console group method ('group', 'groupCollapsed', 'groupEnd').
 		 * @param {number} [params.timestamp] - The timestamp to include in the log message.
-		 * @param {Array} [params.args=[]] - Additional arguments to be included in the log message.
+		 * @param {Array} [params.args=[]] - Additional arguments to be included in the log message, or the
+		 * columns to include when logging a table.
+		 * @param {Object} [params.meta] - Metadata bound to the logger, available to templates as `{{meta.*}}`.
 		 * @async
 		 * @example
 		 * {
@@ -317,27 +2033,776 @@ export function APITransport(config){
 		 *   args: [42, 'additional argument'],
 		 * };
 		 */
-		//TODO: implement table and grouping
 		value: async function(params){
-			const merged = interpolate(config, params);
+			setListening(true);
+			const model = toModel(params);
+			if(batch){
+				const body = render(params, model);
+				const size = encoder.encode(JSON.stringify(body) ?? '').length + 1;
+				if(queue.length > 0 && queuedBytes + size > batch.maxBytes){
+					sendBatch();
+				}
+				queue.push({params: model, body});
+				queuedBytes += size;
+				if(queue.length >= batch.maxCount || queuedBytes >= batch.maxBytes){
+					return sendBatch();
+				}
+				if(timer === undefined){
+					timer = setTimeout(sendBatch, batch.maxDelay);
+				}
+				return;
+			}
 
-			try{
-				const response = await fetch(merged.url, {
-					method: merged.method,
-					headers: Object.entries(merged.headers || {}).reduce((acc, [k, v]) => {
-						acc[k] = v;
-						return acc;
-					}, {}),
-					body: merged.body
+			const merged = interpolate(template, model);
+
+			await deliver(merged.url, {
+				method: merged.method,
+				headers: Object.entries(scrubHeaders(template.headers, merged.headers)).reduce((acc, [k, v]) => {
+					acc[k] = v;
+					return acc;
+				}, trace ? traceHeaders(model) : {}),
+				body: layout === undefined ? merged.body : render(params, model)
+			});
+		}
+	});
+}
+
+/**
+ * Whether the browser believes it has a network connection.
+ *
+ * @returns {boolean}
+ */
+function isOnline(){
+	return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Whether a response indicates the request may succeed if sent again.
+ *
+ * @param {Response} response - The response to the request.
+ * @returns {boolean}
+ */
+function isRetryable(response){
+	return response.status === 408 || response.status === 429 || response.status >= 500;
+}
+
+/**
+ * Read the delay requested by a Retry-After header, given either in seconds or as an HTTP date.
+ *
+ * @param {Response} [response] - The response to the request.
+ * @returns {number|undefined} The delay in milliseconds, or undefined when none was requested.
+ */
+function retryAfter(response){
+	const header = response?.headers?.get('Retry-After');
+	if(!header){
+		return undefined;
+	}
+	const seconds = Number(header);
+	if(!Number.isNaN(seconds)){
+		return seconds * 1000;
+	}
+	const date = Date.parse(header);
+	return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Outbox persists requests in IndexedDB so they survive reloads, falling back to memory where IndexedDB is
+ * unavailable.  Outboxes sharing a database each keep to the requests of their own scope.  Once more than `maxSize`
+ * requests are held in a scope, the oldest are evicted.
+ *
+ * @param {Object} config - The configuration object for the Outbox.
+ * @param {string} config.dbName - The name of the IndexedDB database.
+ * @param {string} config.scope - The scope of the requests, such as the URL they are sent to.
+ * @param {number} config.maxSize - The most requests to keep.
+ * @constructor
+ */
+function Outbox(config){
+	if(!new.target){
+		return new Outbox(...arguments);
+	}
+	const storeName = 'requests';
+	const memory = [];
+	let nextId = 1;
+	const db = typeof indexedDB === 'undefined' ? undefined : new Promise((resolve, reject) => {
+		const request = indexedDB.open(config.dbName, 1);
+		request.onupgradeneeded = () => request.result.createObjectStore(storeName, {keyPath: 'id', autoIncrement: true}).createIndex('scope', 'scope');
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+	/**
+	 * Run an operation against the object store in its own transaction.
+	 *
+	 * @param {string} mode - The transaction mode.
+	 * @param {Function} operation - Receives the object store and returns an IDBRequest.
+	 * @returns {Promise<any>} The result of the request once the transaction completes.
+	 */
+	const transact = async (mode, operation) => {
+		const transaction = (await db).transaction(storeName, mode);
+		const request = operation(transaction.objectStore(storeName));
+		return new Promise((resolve, reject) => {
+			transaction.oncomplete = () => resolve(request?.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	};
+
+	Object.defineProperties(this, {
+		entries: {
+			value: async () => {
+				if(db === undefined){
+					return memory.map(entry => ({...entry}));
+				}
+				return transact('readonly', store => store.index('scope').getAll(config.scope));
+			}
+		},
+		push: {
+			value: async (entry) => {
+				const record = {attempts: 0, queuedAt: Date.now(), ...entry, scope: config.scope};
+				if(db === undefined){
+					memory.push({id: nextId++, ...record});
+					memory.splice(0, Math.max(0, memory.length - config.maxSize));
+					return;
+				}
+				await transact('readwrite', (store) => {
+					store.add(record);
+					const scoped = store.index('scope');
+					const count = scoped.count(config.scope);
+					count.onsuccess = () => {
+						let excess = count.result - config.maxSize;
+						if(excess > 0){
+							scoped.openCursor(config.scope).onsuccess = (event) => {
+								const cursor = event.target.result;
+								if(cursor && excess-- > 0){
+									cursor.delete();
+									cursor.continue();
+								}
+							};
+						}
+					};
 				});
-				console.debug(response);
-			}catch(e){
-				console.error(e);
 			}
+		},
+		remove: {
+			value: async (id) => {
+				if(db === undefined){
+					const index = memory.findIndex(entry => entry.id === id);
+					if(index !== -1){
+						memory.splice(index, 1);
+					}
+					return;
+				}
+				await transact('readwrite', store => store.delete(id));
+			}
+		},
+		update: {
+			value: async (entry) => {
+				if(db === undefined){
+					const index = memory.findIndex(existing => existing.id === entry.id);
+					if(index !== -1){
+						memory[index] = {...entry};
+					}
+					return;
+				}
+				await transact('readwrite', store => store.put(entry));
+			}
+		}
+	});
+}
+
+/**
+ * MemoryTransport keeps the most recent records in a ring buffer, so they can be attached to a bug report.
+ * Setting `level` captures records below the logger's level as well, without sending them to the other transports.
+ *
+ * @param {Object} [config] - The configuration object for the MemoryTransport.
+ * @param {number} [config.maxRecords=1000] - How many records to keep.
+ * @param {number} [config.maxAge] - Discard records older than this many milliseconds.
+ * @param {string} [config.level] - Capture records up to this level, even if the logger's level is lower.
+ * @param {string|Object} [config.layout] - A pattern or a layout to render the records with in `toText` and
+ * `download`, as for FileTransport.
+ * @constructor
+ * @example
+ * const memoryTransport = new MemoryTransport({maxRecords: 500, maxAge: 300000, level: 'debug'});
+ * Logger.addTransport('memory', memoryTransport);
+ * memoryTransport.download('bug-report.log');
+ */
+export function MemoryTransport(config = {}){
+	if(!new.target){
+		return new MemoryTransport(...arguments);
+	}
+	const {maxRecords = 1000, maxAge, level} = config;
+	if(level !== undefined && !levels.includes(level)){
+		throw new Error(`${level} is not a valid logger level`);
+	}
+	const layout = resolveLayout(config.layout);
+	const buffer = new Array(maxRecords);
+	let start = 0;
+	let count = 0;
+
+	/**
+	 * Drop the records older than `maxAge`.
+	 */
+	const expire = () => {
+		if(maxAge === undefined){
+			return;
+		}
+		const oldest = Date.now() - maxAge;
+		while(count > 0 && buffer[start].receivedAt < oldest){
+			buffer[start] = undefined;
+			start = (start + 1) % maxRecords;
+			count--;
+		}
+	};
+
+	Object.defineProperties(this, {
+		/**
+		 * The level records are captured up to, while it is one of the levels in use.
+		 */
+		captureLevel: {
+			get: () => levels.includes(level) ? level : undefined
+		},
+		/**
+		 * Discard all of the records.
+		 */
+		clear: {
+			value: () => {
+				buffer.fill(undefined);
+				start = 0;
+				count = 0;
+			}
+		},
+		/**
+		 * Save the records as a file, as JSON when the filename ends in `.json`, otherwise as text.
+		 *
+		 * @param {string} [filename='log.txt'] - The name of the downloaded file.
+		 * @param {Function|Object} [filter] - Limits the records downloaded, as for `getRecords`.
+		 */
+		download: {
+			value: (filename = 'log.txt', filter) => {
+				const isJSON = filename.endsWith('.json');
+				const blob = new Blob([isJSON ? JSON.stringify(this.getRecords(filter), null, 2) : this.toText(filter)], {
+					type: isJSON ? 'application/json' : 'text/plain'
+				});
+				const url = URL.createObjectURL(blob);
+				const anchor = document.createElement('a');
+				anchor.href = url;
+				anchor.download = filename;
+				anchor.click();
+				setTimeout(() => URL.revokeObjectURL(url));
+			}
+		},
+		/**
+		 * Get the records, oldest first.
+		 *
+		 * @param {Function|Object} [filter] - A predicate, or criteria the records must all meet.
+		 * @param {string} [filter.level] - Only records at this level or more severe.
+		 * @param {string} [filter.category] - Only records whose category matches this pattern, as for `setLogLevel`.
+		 * @param {number} [filter.since] - Only records received at or after this time, in milliseconds.
+		 * @returns {Array<Object>}
+		 * @example memoryTransport.getRecords({level: 'warn', category: 'checkout/*'});
+		 */
+		getRecords: {
+			value: (filter) => {
+				expire();
+				const entries = [];
+				for(let i = 0; i < count; i++){
+					entries.push(buffer[(start + i) % maxRecords]);
+				}
+				return entries.filter(({record, receivedAt}) => {
+					if(typeof filter === 'function'){
+						return filter(record);
+					}
+					if(filter instanceof Object){
+						return (filter.level === undefined || levels.indexOf(record.level) <= levels.indexOf(filter.level))
+							&& (filter.category === undefined || matchCategory(filter.category, String(record.category)) >= 0)
+							&& (filter.since === undefined || receivedAt >= filter.since);
+					}
+					return true;
+				}).map(({record}) => record);
+			}
+		},
+		/**
+		 * Log a message to memory.
+		 *
+		 * @param {Object} params - The parameters for logging.
+		 */
+		log: {
+			value: function(params){
+				const record = Object.assign({}, params, {timestamp: params.timestamp ?? new Date().toISOString()});
+				buffer[(start + count) % maxRecords] = {record, receivedAt: Date.now()};
+				if(count < maxRecords){
+					count++;
+				}else{
+					start = (start + 1) % maxRecords;
+				}
+			}
+		},
+		/**
+		 * Get the records for serialization, so `JSON.stringify(memoryTransport)` produces an array of records.
+		 *
+		 * @param {Function|Object} [filter] - Limits the records, as for `getRecords`.
+		 * @returns {Array<Object>}
+		 */
+		toJSON: {
+			value: filter => this.getRecords(typeof filter === 'string' ? undefined : filter)
+		},
+		/**
+		 * Render the records as text, as FileTransport would write them.
+		 *
+		 * @param {Function|Object} [filter] - Limits the records, as for `getRecords`.
+		 * @returns {string}
+		 */
+		toText: {
+			value: (filter) => {
+				const groups = [];
+				return this.getRecords(filter).map(record => renderText(record, groups, layout) ?? '').join('');
+			}
+		}
+	});
+}
+
+// the options of the %d conversion that are not made of date tokens
+const dateFormats = {
+	ABSOLUTE: date => formatDate(date, 'HH:mm:ss.SSS'),
+	EPOCH: date => String(date.getTime()),
+	ISO: date => date.toISOString(),
+	ISO8601: date => date.toISOString(),
+	LOCALE: (date, record) => date.toLocaleTimeString('en-US', record.dateFmt)
+};
+
+/**
+ * Format a date, in local time, with the tokens `yyyy`, `MM`, `dd`, `HH`, `mm`, `ss` and `SSS`.
+ *
+ * @param {Date} date - The date to format.
+ * @param {string} pattern - The pattern of tokens.
+ * @returns {string}
+ */
+function formatDate(date, pattern){
+	const tokens = {
+		yyyy: date.getFullYear(),
+		MM: date.getMonth() + 1,
+		dd: date.getDate(),
+		HH: date.getHours(),
+		mm: date.getMinutes(),
+		ss: date.getSeconds(),
+		SSS: date.getMilliseconds()
+	};
+	return pattern.replace(/yyyy|MM|dd|HH|mm|ss|SSS/g, token => String(tokens[token]).padStart(token.length, '0'));
+}
+
+/**
+ * The time of a record as a Date, or undefined when its timestamp is not a time, e.g. already formatted text.
+ *
+ * @param {Object} record - The record.
+ * @returns {Date|undefined}
+ */
+function recordDate(record){
+	const date = new Date(record.timestamp ?? Date.now());
+	return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// the conversions of PatternLayout, by character; each renders a record with the conversion's option
+const conversions = {
+	c: record => String(record.category ?? ''),
+	d: (record, option = 'ISO') => {
+		const date = recordDate(record);
+		if(date === undefined){
+			return String(record.timestamp);
+		}
+		return dateFormats[option] ? dateFormats[option](date, record) : formatDate(date, option);
+	},
+	m: record => formatMessage(record.msg ?? '', record.args),
+	n: () => '\n',
+	p: (record, option) => option === 'lower' ? String(record.level) : String(record.level).toUpperCase(),
+	X: (record, option) => {
+		const value = option === undefined ? record.meta : lookup(record.meta, option);
+		return value === undefined ? '' : stringify(value);
+	},
+	'%': () => '%'
+};
+
+/**
+ * PatternLayout renders records from a pattern in the style of log4j, e.g. `'%d{ISO} %-5p [%c] %m%n'`.  The
+ * conversions are `%d{format}` for the time (`ISO`, `ABSOLUTE`, `EPOCH`, `LOCALE`, or tokens like
+ * `yyyy-MM-dd HH:mm:ss.SSS`), `%p` for the level (`%p{lower}` in lowercase), `%c` for the category, `%m` for the
+ * message with its arguments, `%X{key}` for a metadata value (`%X` for all of it), `%n` for a newline and `%%` for
+ * a percent sign.  A width pads a conversion (`%5p`, or `%-5p` to pad on the right), and a precision (`%.20c`)
+ * truncates it, keeping the end.
+ *
+ * @param {string} pattern - The pattern.
+ * @throws {Error} Throws an error if the pattern uses an unknown conversion.
+ * @constructor
+ * @example new FileTransport({layout: new PatternLayout('%d{yyyy-MM-dd HH:mm:ss} %-5p [%.30c] %m %X{orderId}%n')});
+ */
+export function PatternLayout(pattern){
+	if(!new.target){
+		return new PatternLayout(...arguments);
+	}
+	const parts = [];
+	const conversion = /%(-?)(\d*)(?:\.(\d+))?([a-zA-Z%])(?:\{([^}]*)\})?/g;
+	let last = 0;
+	for(const match of String(pattern).matchAll(conversion)){
+		const [text, left, width, precision, name, option] = match;
+		if(conversions[name] === undefined){
+			throw new Error(`${text} is not a valid layout conversion`);
+		}
+		parts.push(pattern.slice(last, match.index), {left: left === '-', width: Number(width), precision: precision === undefined ? undefined : Number(precision), render: conversions[name], option});
+		last = match.index + text.length;
+	}
+	parts.push(pattern.slice(last));
+
+	Object.defineProperty(this, 'format', {
+		/**
+		 * Render a record.
+		 *
+		 * @param {Object} record - The record.
+		 * @returns {string}
+		 */
+		value: record => parts.map((part) => {
+			if(typeof part === 'string'){
+				return part;
+			}
+			const value = part.render(record, part.option);
+			const truncated = part.precision !== undefined && value.length > part.precision ? value.slice(value.length - part.precision) : value;
+			return part.left ? truncated.padEnd(part.width) : truncated.padStart(part.width);
+		}).join('')
+	});
+}
+
+/**
+ * JSONLayout renders each record as a line of JSON, with its time, level, category, formatted message and metadata.
+ *
+ * @constructor
+ * @example new OPFSTransport({layout: new JSONLayout()});
+ */
+export function JSONLayout(){
+	if(!new.target){
+		return new JSONLayout(...arguments);
+	}
+	Object.defineProperty(this, 'format', {
+		/**
+		 * Render a record.
+		 *
+		 * @param {Object} record - The record.
+		 * @returns {string}
+		 */
+		value: record => `${JSON.stringify({
+			timestamp: recordDate(record)?.toISOString() ?? record.timestamp,
+			level: record.level,
+			category: record.category,
+			msg: formatMessage(record.msg ?? '', record.args),
+			...record.meta && {meta: record.meta}
+		})}\n`
+	});
+}
+
+/**
+ * LogfmtLayout renders each record as a line of `key=value` pairs, with its time, level, category, formatted message
+ * and metadata, nested metadata keys joined with dots.
+ *
+ * @constructor
+ * @example new FileTransport({layout: new LogfmtLayout()}); // ts=2024-01-01T12:00:00.000Z level=info category=cart.js msg="Order placed" orderId=A-1
+ */
+export function LogfmtLayout(){
+	if(!new.target){
+		return new LogfmtLayout(...arguments);
+	}
+	const quote = (value) => {
+		const text = stringify(value);
+		return text === '' || /[\s="\\]/.test(text) ? JSON.stringify(text) : text;
+	};
+	const flatten = (value, prefix) => value instanceof Object && !Array.isArray(value)
+		? Object.entries(value).flatMap(([key, child]) => flatten(child, `${prefix}.${key}`))
+		: [[prefix, value]];
+
+	Object.defineProperty(this, 'format', {
+		/**
+		 * Render a record.
+		 *
+		 * @param {Object} record - The record.
+		 * @returns {string}
+		 */
+		value: (record) => {
+			const pairs = [
+				['ts', recordDate(record)?.toISOString() ?? record.timestamp],
+				['level', record.level],
+				['category', record.category],
+				['msg', formatMessage(record.msg ?? '', record.args)],
+				...Object.entries(record.meta ?? {}).flatMap(([key, value]) => flatten(value, key))
+			];
+			return `${pairs.map(([key, value]) => `${key}=${quote(value)}`).join(' ')}\n`;
 		}
 	});
 }
 
+/**
+ * Resolve the layout of a transport's config.
+ *
+ * @param {string|Object} [layout] - A pattern for a PatternLayout, or an object with a `format(record)` method.
+ * @returns {Object|undefined} The layout, or undefined to use the transport's own format.
+ * @throws {Error} Throws an error if the layout is not valid.
+ */
+function resolveLayout(layout){
+	if(layout === undefined || typeof layout?.format === 'function'){
+		return layout;
+	}
+	if(typeof layout === 'string'){
+		return new PatternLayout(layout);
+	}
+	throw new Error(`${layout} is not a valid layout`);
+}
+
+/**
+ * Format a message the way the console does, substituting `%s`, `%d`, `%i`, `%f`, `%o`, `%O` and `%%` with the
+ * arguments, dropping the CSS arguments consumed by `%c`, and appending any arguments left over.
+ *
+ * @param {any} msg - The message, which may contain console placeholders.
+ * @param {Array} [args=[]] - The arguments for the placeholders.
+ * @returns {string} The formatted message.
+ * @example formatMessage('%cTotal:%c %d items', ['color: red;', '', 3, 'in cart']); // 'Total: 3 items in cart'
+ */
+export function formatMessage(msg, args = []){
+	const remaining = [...(Array.isArray(args) ? args : [args])];
+	let formatted = stringify(msg);
+	if(typeof msg === 'string'){
+		formatted = msg.replace(/%([sdifoOc%])/g, (match, specifier) => {
+			if(specifier === '%'){
+				return '%';
+			}
+			if(remaining.length === 0){
+				return match;
+			}
+			const arg = remaining.shift();
+			switch(specifier){
+				case 'c':
+					return '';
+				case 'd':
+				case 'i':
+					return String(typeof arg === 'number' ? Math.trunc(arg) : parseInt(arg, 10));
+				case 'f':
+					return String(parseFloat(arg));
+				default:
+					return stringify(arg);
+			}
+		});
+	}
+	return [formatted, ...remaining.map(stringify)].join(' ');
+}
+
+/**
+ * Render a value as text for a non-console transport.
+ *
+ * @param {any} val - The value to render.
+ * @returns {string}
+ */
+function stringify(val){
+	if(typeof val === 'string'){
+		return val;
+	}
+	if(val instanceof Error){
+		return val.stack || `${val.name}: ${val.message}`;
+	}
+	if(val instanceof Object){
+		try{
+			return JSON.stringify(val);
+		}catch(_e){
+			return String(val);
+		}
+	}
+	return String(val);
+}
+
+/**
+ * Substitute the console placeholders in a record's message so it reads the same as in the console.
+ *
+ * @param {Object} params - The record.
+ * @returns {Object} The record with its message formatted.
+ */
+function withFormattedMessage(params){
+	if(params.isTable || typeof params.msg !== 'string'){
+		return params;
+	}
+	return {...params, msg: formatMessage(params.msg, params.args)};
+}
+
+/**
+ * Track the open console groups, returning the labels of the groups a record belongs to.  A record that opens or
+ * closes a group belongs to that group.
+ *
+ * @param {Array<string>} groups - The labels of the open groups, updated in place.
+ * @param {Object} params - The record.
+ * @returns {Array<string>} The group path of the record.
+ */
+function trackGroup(groups, params){
+	if(params.group === 'group' || params.group === 'groupCollapsed'){
+		groups.push(formatMessage(params.msg, params.args));
+		return [...groups];
+	}
+	if(params.group === 'groupEnd'){
+		const path = [...groups];
+		groups.pop();
+		return path;
+	}
+	return [...groups];
+}
+
+/**
+ * Arrange tabular data the way `console.table` does: an index column, then one column per property, then a
+ * `Values` column for rows that are not objects.
+ *
+ * @param {Array|Object} data - The rows of the table.
+ * @param {Array<string>} [columns] - The properties to include; all properties are included when omitted.  A column
+ * that is not a property of a row falls back to a case-insensitive match.
+ * @returns {{columns: Array<string>, rows: Array<Array>}} The column headings and the cells of each row.
+ */
+function tabulate(data, columns){
+	const entries = data instanceof Object ? Object.entries(data) : [];
+	const keys = Array.isArray(columns) && columns.length > 0
+		? columns
+		: [...new Set(entries.flatMap(([, row]) => row instanceof Object ? Object.keys(row) : []))];
+	const hasValues = entries.some(([, row]) => !(row instanceof Object));
+	const cell = (row, column) => {
+		if(!(row instanceof Object)){
+			return undefined;
+		}
+		if(column in row){
+			return row[column];
+		}
+		const key = Object.keys(row).find(k => k.toLowerCase() === String(column).toLowerCase());
+		return key === undefined ? undefined : row[key];
+	};
+	return {
+		columns: ['(index)', ...keys, ...hasValues ? ['Values'] : []],
+		rows: entries.map(([index, row]) => [
+			Array.isArray(data) ? Number(index) : index,
+			...keys.map(key => cell(row, key)),
+			...hasValues ? [row instanceof Object ? undefined : row] : []
+		])
+	};
+}
+
+/**
+ * Render a table as lines of aligned plain text.
+ *
+ * @param {{columns: Array<string>, rows: Array<Array>}} table - The table from `tabulate`.
+ * @returns {Array<string>} The lines of the table.
+ */
+function renderTable({columns, rows}){
+	const cells = rows.map(row => row.map(val => val === undefined ? '' : stringify(val)));
+	const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+	const render = row => row.map((val, i) => val.padEnd(widths[i])).join(' | ').trimEnd();
+	return [
+		render(columns),
+		widths.map(width => '-'.repeat(width)).join('-+-'),
+		...cells.map(render)
+	];
+}
+
+/**
+ * Filters that can be applied to a template value, e.g. `{{timestamp|iso}}` or `{{msg|truncate:200|upper}}`.
+ * All but `default` are skipped when the value is missing.
+ */
+const filters = {
+	default: (val, fallback) => val === undefined || val === null || val === '' ? fallback : val,
+	epoch: (val) => {
+		const date = new Date(val);
+		return Number.isNaN(date.getTime()) ? val : date.getTime();
+	},
+	iso: (val) => {
+		const date = new Date(val);
+		return Number.isNaN(date.getTime()) ? val : date.toISOString();
+	},
+	json: val => JSON.stringify(val),
+	lower: val => String(val).toLowerCase(),
+	truncate: (val, length) => String(val instanceof Object ? JSON.stringify(val) : val).slice(0, Number(length)),
+	upper: val => String(val).toUpperCase()
+};
+
+/**
+ * Look up a dot separated path, such as `meta.user.id` or `args.0`, in the model.
+ *
+ * @param {Object} model - The model to search.
+ * @param {string} path - The path to the value.
+ * @returns {any} The value, or undefined if any part of the path is missing.
+ */
+function lookup(model, path){
+	if(model === undefined || model === null){
+		return undefined;
+	}
+	// only the model's own properties, so a template cannot reach `constructor` or other inherited members
+	const own = (obj, key) => obj === undefined || obj === null || !Object.hasOwn(Object(obj), key) ? undefined : obj[key];
+	if(Object.hasOwn(Object(model), path)){
+		return model[path];
+	}
+	return path.split('.').reduce(own, model);
+}
+
+/**
+ * Parse a template expression: a path optionally followed by `|`-separated filters with `:` arguments.
+ *
+ * @param {string} expression - The expression between the braces.
+ * @returns {Array} The path, and the filters as `{name, arg}`.
+ * @throws {Error} Throws an error if an unknown filter is used.
+ */
+function parseExpression(expression){
+	const [path, ...pipeline] = expression.match(/(?:"(?:[^"\\]|\\.)*"|'[^']*'|[^|])+/g).map(part => part.trim());
+	return [path, pipeline.map((part) => {
+		const [, name, arg] = part.match(/^(\w+)(?:\s*:\s*(.*))?$/) || [];
+		if(!Object.hasOwn(filters, name ?? '')){
+			throw new Error(`${part} is not a valid interpolation filter`);
+		}
+		if(arg !== undefined && /^(".*"|'.*')$/.test(arg)){
+			return {name, arg: arg.startsWith('"') ? JSON.parse(arg) : arg.slice(1, -1)};
+		}
+		return {name, arg};
+	})];
+}
+
+/**
+ * Evaluate a template expression against a model.
+ *
+ * @param {string} expression - The expression between the braces.
+ * @param {Object} model - The model to evaluate against.
+ * @returns {any} The filtered value.
+ * @throws {Error} Throws an error if an unknown filter is used.
+ */
+function evaluate(expression, model){
+	const [path, pipeline] = parseExpression(expression);
+	return pipeline.reduce((val, {name, arg}) => {
+		if(name !== 'default' && (val === undefined || val === null)){
+			return val;
+		}
+		return filters[name](val, arg);
+	}, lookup(model, path));
+}
+
+/**
+ * Check the filters of the `{{expression}}` placeholders in a template, recursing into arrays and objects.
+ *
+ * @param {any} template - The template string, or an array or object containing template strings.
+ * @throws {Error} Throws an error if an unknown filter is used.
+ */
+function validateTemplate(template){
+	if(template instanceof Object){
+		Object.values(template).forEach(validateTemplate);
+	}else if(typeof template === 'string'){
+		[...template.matchAll(/\\\{\{|\\}}|\{\{(.+?)}}/g)]
+			.filter(([_match, expression]) => expression !== undefined)
+			.forEach(([_match, expression]) => parseExpression(expression));
+	}
+}
+
+/**
+ * Interpolate the `{{expression}}` placeholders in a template, recursing into arrays and objects.
+ * Expressions may be dot paths (`{{meta.user.id}}`, `{{args.0}}`) followed by filters (`{{level|default:"info"}}`,
+ * `{{timestamp|iso}}`, `{{timestamp|epoch}}`, `{{level|upper}}`, `{{level|lower}}`, `{{args|json}}`,
+ * `{{msg|truncate:200}}`).  Literal braces are written as `\{{` and `\}}`.
+ *
+ * @param {any} template - The template string, or an array or object containing template strings.
+ * @param {Object} model - The values to interpolate.
+ * @returns {any} The interpolated template; object members that interpolate to nothing are omitted.
+ * @example interpolate('{{meta.user.id}} {{level|upper}}', {level: 'info', meta: {user: {id: 42}}}); // '42 INFO'
+ */
 export const interpolate = function interpolator(template, model){
 	if(template instanceof Object){
 		const interpolated = Array.isArray(template) ? [] : {};
@@ -356,13 +2821,17 @@ export const interpolate = function interpolator(template, model){
 	if(typeof template !== 'string'){
 		return template;
 	}
-	// TODO allow escaping of {{ and }}
-	// TODO console placeholders
-	return template.replace(/\{\{(.+?)}}/g, (_match, br) => {
-		const val = model[br] || '';
+	return template.replace(/\\\{\{|\\}}|\{\{(.+?)}}/g, (match, expression) => {
+		if(expression === undefined){
+			return match.slice(1);
+		}
+		const val = evaluate(expression, model);
+		if(val === undefined || val === null){
+			return '';
+		}
 		if(val instanceof Object){
 			return JSON.stringify(val);
 		}
-		return val
+		return val;
 	});
 };
@@ -0,0 +1,2 @@
+// the code shared with the browser is an ES module, which node.js has been able to require since 20.19
+module.exports = require('./common.mjs');
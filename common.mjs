@@ -0,0 +1,678 @@
+// the named value patterns for redaction; card numbers are also checked with the Luhn algorithm
+const redactionPatterns = {
+	card: /\b\d(?:[ -]?\d){12,18}\b/g,
+	email: /[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+	jwt: /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g
+};
+const defaultRedaction = {
+	keys: ['accessToken', 'apiKey', 'authorization', 'cookie', 'passwd', 'password', 'refreshToken', 'secret', 'setCookie', 'token', 'xApiKey'],
+	patterns: ['card', 'email', 'jwt']
+};
+// the compiled category patterns
+const categoryMatchers = new Map();
+
+/**
+ * Normalize a property name for comparison with the key rules.
+ *
+ * @param {string} key - The property name.
+ * @returns {string} The name in lowercase, without punctuation.
+ */
+function normalizeKey(key){
+	return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether a number passes the Luhn checksum used by card numbers.
+ *
+ * @param {string} number - The digits, which may be separated by spaces or dashes.
+ * @returns {boolean}
+ */
+function luhn(number){
+	const digits = number.replace(/\D/g, '');
+	const sum = [...digits].reverse().reduce((total, digit, i) => {
+		const value = Number(digit) * (i % 2 + 1);
+		return total + (value > 9 ? value - 9 : value);
+	}, 0);
+	return sum % 10 === 0;
+}
+
+/**
+ * Compile a redaction config into rules.
+ *
+ * @param {Object} config - The config, as passed to `Logger.setRedaction`.
+ * @param {Function} digest - Returns the SHA-256 digest of a string, in hex, for the 'hash' strategy.
+ * @returns {Object} The key, path and pattern rules, each with its strategy, the salt and the digest.
+ * @throws {Error} Throws an error if a strategy or pattern is not valid.
+ */
+function compileRedaction({keys = [], paths = [], patterns = [], strategy = 'mask', salt = ''}, digest){
+	const rule = (entry) => {
+		const {match, strategy: ruleStrategy = strategy} = entry instanceof Object && !(entry instanceof RegExp) ? entry : {match: entry};
+		if(!['mask', 'hash', 'remove'].includes(ruleStrategy)){
+			throw new Error(`${ruleStrategy} is not a valid redaction strategy`);
+		}
+		return {match, strategy: ruleStrategy};
+	};
+	const keyTest = (match) => {
+		if(match instanceof RegExp){
+			// without the global and sticky flags, whose lastIndex would carry over from one key to the next
+			const regex = new RegExp(match.source, match.flags.replace(/[gy]/g, ''));
+			return key => regex.test(key);
+		}
+		return key => normalizeKey(key) === normalizeKey(match);
+	};
+	return {
+		keys: keys.map(rule).map(({match, strategy}) => ({strategy, test: keyTest(match)})),
+		paths: paths.map(rule).map(({match, strategy}) => ({strategy, segments: String(match).split('.')})),
+		patterns: patterns.map(rule).map(({match, strategy}) => {
+			if(match instanceof RegExp){
+				return {strategy, regex: new RegExp(match.source, match.flags.includes('g') ? match.flags : `${match.flags}g`)};
+			}
+			if(redactionPatterns[match] === undefined){
+				throw new Error(`${match} is not a known redaction pattern`);
+			}
+			return {strategy, regex: redactionPatterns[match], validate: match === 'card' ? luhn : undefined};
+		}),
+		salt,
+		digest
+	};
+}
+
+/**
+ * Replace a value according to a redaction strategy.
+ *
+ * @param {*} value - The value to conceal.
+ * @param {string} strategy - 'mask', 'hash' or 'remove'.
+ * @param {Object} rules - The compiled rules, with the salt prefixed to the value before hashing.
+ * @returns {string} The replacement.
+ */
+function conceal(value, strategy, {salt, digest}){
+	if(strategy === 'hash'){
+		return `[hash:${digest(salt + (typeof value === 'string' ? value : JSON.stringify(value))).slice(0, 16)}]`;
+	}
+	return strategy === 'remove' ? '' : '[REDACTED]';
+}
+
+/**
+ * Copy a value with the redaction rules applied.  Only plain objects and arrays are traversed.
+ *
+ * @param {*} value - The value to redact.
+ * @param {Object} rules - The compiled rules.
+ * @param {Array<string>} [path=[]] - The path of the value within the record.
+ * @param {WeakMap} [copies] - The copies made so far, so cycles are preserved rather than followed.
+ * @returns {*} The redacted value.
+ */
+function redactValue(value, rules, path = [], copies = new WeakMap()){
+	if(typeof value === 'string'){
+		return rules.patterns.reduce((text, {regex, strategy, validate}) => text.replace(regex, (match) => {
+			return validate === undefined || validate(match) ? conceal(match, strategy, rules) : match;
+		}), value);
+	}
+	const isPlain = value instanceof Object && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+	if(!Array.isArray(value) && !isPlain){
+		return value;
+	}
+	if(copies.has(value)){
+		return copies.get(value);
+	}
+	const copy = Array.isArray(value) ? [] : {};
+	copies.set(value, copy);
+	Object.entries(value).forEach(([key, child]) => {
+		const childPath = [...path, key];
+		const rule = rules.keys.find(({test}) => test(key))
+			?? rules.paths.find(({segments}) => segments.length === childPath.length && segments.every((segment, i) => segment === '*' || segment === childPath[i]));
+		if(rule === undefined){
+			copy[key] = redactValue(child, rules, childPath, copies);
+		}else if(rule.strategy !== 'remove'){
+			copy[key] = conceal(child, rule.strategy, rules);
+		}
+	});
+	return copy;
+}
+
+/**
+ * Compile a category pattern into a function scoring how specifically it matches a category.  Compiled patterns are
+ * kept, as the same few patterns are matched against every record.
+ *
+ * @param {string} pattern - The category pattern: the category itself, a directory prefix, or a glob using `*`.
+ * @returns {Function} Takes a category, and returns -1 when the pattern does not match it, otherwise a score that is
+ * higher the more specific the pattern is.
+ */
+function compileCategory(pattern){
+	if(!categoryMatchers.has(pattern)){
+		let score;
+		if(pattern.includes('*')){
+			const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+			const specificity = pattern.replace(/\*/g, '').length;
+			score = category => category === pattern ? Infinity : regex.test(category) ? specificity : -1;
+		}else{
+			const prefix = `${pattern.replace(/\/$/, '')}/`;
+			score = category => category === pattern ? Infinity : category.startsWith(prefix) ? pattern.length : -1;
+		}
+		categoryMatchers.set(pattern, score);
+	}
+	return categoryMatchers.get(pattern);
+}
+
+/**
+ * Score how specifically a category pattern matches a category.
+ *
+ * @param {string} pattern - The category pattern.
+ * @param {string} category - The category of the record.
+ * @returns {number} -1 when the pattern does not match, otherwise higher is more specific.
+ */
+function matchCategory(pattern, category){
+	return compileCategory(pattern)(category);
+}
+
+/**
+ * Find the rule of the most specific category pattern matching a category; the first of equally specific patterns
+ * wins.
+ *
+ * @param {Object} rules - The rules, by category pattern.
+ * @param {string} category - The category of the record.
+ * @returns {*} The rule, or undefined when no pattern matches.
+ */
+function matchRules(rules, category){
+	let bestScore = -1;
+	let match;
+	Object.entries(rules).forEach(([pattern, rule]) => {
+		const score = matchCategory(pattern, String(category));
+		if(score > bestScore){
+			bestScore = score;
+			match = rule;
+		}
+	});
+	return match;
+}
+
+/**
+ * The level for a message of the library's own: the level asked for while it is in use, otherwise the most severe,
+ * since the levels may have been replaced.
+ *
+ * @param {string} level - The level asked for.
+ * @param {Array<string>} levels - The levels in use, most severe first.
+ * @returns {string}
+ */
+function availableLevel(level, levels){
+	return levels.includes(level) ? level : levels[0];
+}
+
+/**
+ * Check a rate limit, throwing if it is not valid.
+ *
+ * @param {Object} limit - The rate limit.
+ * @param {boolean} [allowDuplicates=true] - Whether the limit may collapse duplicates.
+ */
+function validateRateLimit(limit, allowDuplicates = true){
+	const {rate, burst, duplicates} = limit ?? {};
+	const valid = [rate, burst, duplicates].every(value => value === undefined || value > 0)
+		&& (rate !== undefined || (allowDuplicates && duplicates !== undefined))
+		&& (burst === undefined || rate !== undefined)
+		&& (allowDuplicates || duplicates === undefined);
+	if(!valid){
+		throw new Error(`${JSON.stringify(limit)} is not a valid rate limit`);
+	}
+}
+
+/**
+ * Take a token from a token bucket, refilling it for the time since it was last used.
+ *
+ * @param {Map} bucketMap - The buckets, by key.
+ * @param {string} key - The key of the bucket.
+ * @param {Object} limit - The rate limit.
+ * @param {number} limit.rate - The tokens added per second.
+ * @param {number} [limit.burst=rate] - The most tokens the bucket holds.
+ * @returns {boolean} Whether a token was available.
+ */
+function takeToken(bucketMap, key, {rate, burst = Math.max(1, rate)}){
+	const now = Date.now();
+	const bucket = bucketMap.get(key) ?? {tokens: burst, updated: now};
+	bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) / 1000 * rate);
+	bucket.updated = now;
+	bucketMap.set(key, bucket);
+	if(bucket.tokens < 1){
+		return false;
+	}
+	bucket.tokens--;
+	return true;
+}
+
+/**
+ * Rate limits by category pattern, where the most specific pattern applies, and by transport name, each enforced
+ * with a token bucket per category or transport.  A category limit may also collapse records repeating the previous
+ * record of the category into a single "Last message repeated 57 times in 5s" summary.
+ *
+ * @param {Function} summarize - Delivers a summary, given `{category, level, message, repeated}` and whether it has
+ * to go ahead of the record being admitted.
+ */
+function RateLimiter(summarize){
+	if(!new.target){
+		return new RateLimiter(...arguments);
+	}
+	const categories = {};
+	const transports = {};
+	const buckets = {categories: new Map(), transports: new Map()};
+	// the last record of each category for duplicate collapsing
+	const lastRecords = new Map();
+	const dropped = {categories: {}, duplicates: {}, transports: {}};
+	const count = (counts, key) => {
+		counts[key] = (counts[key] ?? 0) + 1;
+	};
+
+	/**
+	 * Deliver a summary of the duplicates collapsed since the last record of a category, and forget that record.
+	 *
+	 * @param {string} category - The category.
+	 * @param {boolean} [ahead=false] - Whether the summary goes ahead of the record being admitted.
+	 */
+	const summarizeDuplicates = (category, ahead = false) => {
+		const last = lastRecords.get(category);
+		if(last === undefined){
+			return;
+		}
+		clearTimeout(last.timer);
+		lastRecords.delete(category);
+		if(last.count > 0){
+			const seconds = Math.max(1, Math.round((Date.now() - last.first) / 1000));
+			summarize({
+				category,
+				level: last.level,
+				message: `Last message repeated ${last.count} times in ${seconds}s`,
+				repeated: last.count
+			}, ahead);
+		}
+	};
+
+	Object.defineProperties(this, {
+		/**
+		 * Decide whether a record is delivered, given the rate limit of its category: collapsing it if it repeats the
+		 * previous record of the category, and dropping it when the category's token bucket is empty.
+		 *
+		 * @param {string} category - The category of the record.
+		 * @param {string} level - The level of the record.
+		 * @param {string} [key] - Identifies the record for duplicate collapsing; a record without one is never a
+		 * duplicate.
+		 * @returns {boolean} Whether to deliver the record.
+		 */
+		admit: {
+			value: (category, level, key) => {
+				const limit = matchRules(categories, category);
+				if(limit === undefined){
+					return true;
+				}
+				if(limit.duplicates !== undefined){
+					const last = lastRecords.get(category);
+					if(key !== undefined && last?.key === key){
+						last.count++;
+						count(dropped.duplicates, category);
+						if(last.timer === undefined){
+							last.timer = setTimeout(() => summarizeDuplicates(category), limit.duplicates);
+							// a pending summary does not keep node.js running
+							last.timer.unref?.();
+						}
+						return false;
+					}
+					summarizeDuplicates(category, true);
+					lastRecords.set(category, {key, count: 0, first: Date.now(), level});
+				}
+				if(limit.rate !== undefined && !takeToken(buckets.categories, category, limit)){
+					count(dropped.categories, category);
+					return false;
+				}
+				return true;
+			}
+		},
+		/**
+		 * Decide whether a record is delivered to a transport, given the transport's rate limit.
+		 *
+		 * @param {string} name - The name of the transport.
+		 * @returns {boolean} Whether to deliver the record.
+		 */
+		admitTransport: {
+			value: (name) => {
+				if(transports[name] === undefined || takeToken(buckets.transports, name, transports[name])){
+					return true;
+				}
+				count(dropped.transports, name);
+				return false;
+			}
+		},
+		/**
+		 * The limits by category pattern.
+		 */
+		categories: {
+			value: categories
+		},
+		/**
+		 * Remove a category pattern's limit, or all of them; summaries of collapsed duplicates are delivered straight
+		 * away.
+		 *
+		 * @param {string} [category] - The category pattern.
+		 */
+		clear: {
+			value: (category) => {
+				Object.keys(categories)
+					.filter(pattern => category === undefined || pattern === category)
+					.forEach(pattern => delete categories[pattern]);
+				this.summarize();
+				buckets.categories.clear();
+			}
+		},
+		/**
+		 * The number of records dropped, by category and transport name, and of duplicates collapsed, by category.
+		 */
+		dropped: {
+			get: () => ({
+				categories: {...dropped.categories},
+				duplicates: {...dropped.duplicates},
+				transports: {...dropped.transports}
+			})
+		},
+		/**
+		 * Limit a category pattern.
+		 *
+		 * @param {Object} limit - The rate limit, with `rate`, `burst` and `duplicates`.
+		 * @param {string} category - The category pattern.
+		 * @throws {Error} Throws an error if the limit is not valid.
+		 */
+		set: {
+			value: (limit, category) => {
+				validateRateLimit(limit);
+				compileCategory(category);
+				categories[category] = {...limit};
+				buckets.categories.clear();
+			}
+		},
+		/**
+		 * Limit a transport, or remove its limit.
+		 *
+		 * @param {string} name - The name of the transport.
+		 * @param {Object} [limit] - The rate limit, with `rate` and `burst`; removed when omitted.
+		 * @throws {Error} Throws an error if the limit is not valid.
+		 */
+		setTransport: {
+			value: (name, limit) => {
+				if(limit !== undefined){
+					validateRateLimit(limit, false);
+				}
+				buckets.transports.delete(name);
+				if(limit === undefined){
+					delete transports[name];
+				}else{
+					transports[name] = {...limit};
+				}
+			}
+		},
+		/**
+		 * Deliver the summaries of the duplicates collapsed so far straight away.
+		 */
+		summarize: {
+			value: () => {
+				[...lastRecords.keys()].forEach(category => summarizeDuplicates(category));
+			}
+		},
+		/**
+		 * The limits by transport name.
+		 */
+		transports: {
+			value: transports
+		}
+	});
+}
+
+/**
+ * Check a remote configuration document, throwing if any of it is not valid, so it is applied whole or not at all.
+ *
+ * @param {Object} config - The document.
+ * @param {Object} target - What the document is applied to, as for `pollRemoteConfig`.
+ */
+function validateRemoteConfig(config, {Logger, available, transportOptions}){
+	if(!(config instanceof Object) || Array.isArray(config) || !((config.categories ?? {}) instanceof Object) || !((config.transports ?? {}) instanceof Object)){
+		throw new Error(`${JSON.stringify(config)} is not a valid remote configuration`);
+	}
+	const {level, categories = {}, transports = {}} = config;
+	const transportLevels = Object.values(transports).map(setting => setting?.level);
+	[level, ...Object.values(categories), ...transportLevels].filter(value => value !== undefined).forEach((value) => {
+		if(!Logger.levels.includes(value)){
+			throw new Error(`${value} is not a valid logger level`);
+		}
+	});
+	Object.entries(transports).forEach(([name, setting]) => {
+		if(available[name] === undefined){
+			throw new Error(`${name} is not a known transport`);
+		}
+		const valid = typeof setting === 'boolean' || (setting instanceof Object && !Array.isArray(setting)
+			&& Object.keys(setting).every(option => transportOptions.includes(option))
+			&& ['include', 'exclude'].every(option => setting[option] === undefined || [].concat(setting[option]).every(pattern => typeof pattern === 'string')));
+		if(!valid){
+			throw new Error(`${JSON.stringify(setting)} is not a valid transport setting`);
+		}
+	});
+}
+
+/**
+ * Apply a remote configuration.  The global level falls back to the one in use before remote configuration began,
+ * and the category levels set by the previous document are cleared, when the document no longer sets them.
+ *
+ * @param {Object} config - The document, already validated.
+ * @param {Object} [previous] - The previous document.
+ * @param {string} baseline - The level in use before remote configuration began.
+ * @param {Object} target - What the document is applied to, as for `pollRemoteConfig`.
+ */
+function applyRemoteConfig({level, categories = {}, transports = {}}, previous, baseline, {Logger, available, enable}){
+	Logger.setLogLevel(level ?? baseline);
+	Object.keys(previous?.categories ?? {}).filter(pattern => !(pattern in categories)).forEach(pattern => Logger.clearLogLevel(pattern));
+	Logger.setLogLevel(categories);
+	Object.entries(transports).forEach(([name, setting]) => {
+		if(setting === false){
+			Logger.removeTransport(name);
+		}else{
+			enable(name, available[name], setting === true ? undefined : setting);
+		}
+	});
+}
+
+/**
+ * Poll a JSON document for the global level, category levels and enabled transports, applying each change live.  A
+ * document that cannot be fetched or is not valid is reported and ignored, keeping the last good configuration.
+ *
+ * @param {Object} options - The options.
+ * @param {string} options.url - The URL of the document.
+ * @param {number} options.interval - How often to fetch the document, in milliseconds.
+ * @param {Object} [options.init] - Options for `fetch`.
+ * @param {Object} target - What the document is applied to.
+ * @param {Function} target.Logger - The Logger, whose levels and transports the document sets.
+ * @param {Object} target.available - The transports the document may enable, by name.
+ * @param {Array<string>} target.transportOptions - The options the document may give a transport it enables.
+ * @param {Function} target.enable - Enables a transport, given its name, the transport and the options from the
+ * document, if it has any.
+ * @param {Function} target.report - Reports the error of a document that was not applied.
+ * @returns {{refresh: Function, stop: Function}} `refresh()` fetches the document now and resolves to the
+ * configuration in effect; `stop()` ends the polling, keeping the configuration.
+ */
+function pollRemoteConfig({url, interval, init}, target){
+	const baseline = target.Logger.getLogLevel();
+	let applied;
+	let pending;
+	let stopped = false;
+	const load = async () => {
+		try{
+			const response = await fetch(url, init);
+			if(!response.ok){
+				throw new Error(`${url} responded with ${response.status}`);
+			}
+			const config = await response.json();
+			validateRemoteConfig(config, target);
+			if(!stopped){
+				applyRemoteConfig(config, applied, baseline, target);
+				applied = config;
+			}
+		}catch(e){
+			target.report(e);
+		}
+		return applied;
+	};
+	const refresh = () => {
+		pending ??= load().finally(() => {
+			pending = undefined;
+		});
+		return pending;
+	};
+	const timer = setInterval(refresh, interval);
+	// polling does not keep node.js running
+	timer.unref?.();
+	refresh();
+	return {
+		refresh,
+		stop: () => {
+			stopped = true;
+			clearInterval(timer);
+		}
+	};
+}
+
+/**
+ * The current time in milliseconds, as precisely as the platform allows.
+ *
+ * @returns {number}
+ */
+function now(){
+	return globalThis.performance?.now?.() ?? Date.now();
+}
+
+/**
+ * Create the timing and counting methods of a Logger: `time`, `timeEnd`, `count`, `countReset` and `measure`.
+ *
+ * @param {Object} logger - What the methods log with.
+ * @param {Function} logger.log - Logs a message at a level, with the fields `durationMs`, `count` or `failed`.
+ * @param {Function} logger.isLevel - Whether timings and counts may be logged at a level.
+ * @param {Function} logger.warn - Reports a timer that does not exist.
+ * @param {Function} [logger.addMark] - Marks the start of each timing elsewhere as well, given its name; returns what
+ * `addMeasure` is given as the mark.
+ * @param {Function} [logger.addMeasure] - Records each duration elsewhere as well, given its name, its start time and
+ * its mark.
+ * @returns {Object} The property descriptors of the methods, for `Object.defineProperties`.
+ */
+function timingMethods({log, isLevel, warn, addMark = () => undefined, addMeasure = () => {}}){
+	const timers = new Map();
+	const counts = new Map();
+	const checkLevel = (level) => {
+		if(!isLevel(level)){
+			throw new Error(`${level} is not a valid logger level`);
+		}
+	};
+	return {
+		/**
+		 * Count the calls with a label, logging the count as `count`.
+		 *
+		 * @param {string} [label='default'] - The label of the counter.
+		 * @param {Object} [options] - The options.
+		 * @param {string} [options.level='info'] - The level to log at.
+		 * @returns {number} The count.
+		 * @example logger.count('retry'); // retry: 1
+		 */
+		count: {
+			value: (label = 'default', {level = 'info'} = {}) => {
+				checkLevel(level);
+				const count = (counts.get(label) ?? 0) + 1;
+				counts.set(label, count);
+				log(level, `${label}: ${count}`, {count});
+				return count;
+			}
+		},
+		/**
+		 * Reset the count of a label.
+		 *
+		 * @param {string} [label='default'] - The label of the counter.
+		 */
+		countReset: {
+			value: (label = 'default') => {
+				counts.delete(label);
+			}
+		},
+		/**
+		 * Time a function, or a promise, logging its duration as `durationMs` once it settles.  A failure is logged
+		 * with `failed: true` at `failLevel`, and thrown again.
+		 *
+		 * @param {string} name - The name of the measurement.
+		 * @param {Function|Promise} task - The function to call, which may return a promise, or the promise to wait for.
+		 * @param {Object} [options] - The options.
+		 * @param {string} [options.level='info'] - The level to log at.
+		 * @param {string} [options.failLevel='error'] - The level to log a failure at; `level` if there is no 'error'.
+		 * @returns {*} The result of the function, or a promise of it when it is asynchronous.
+		 * @example const rows = await logger.measure('query orders', () => db.query(sql));
+		 */
+		measure: {
+			value: (name, task, {level = 'info', failLevel = isLevel('error') ? 'error' : level} = {}) => {
+				checkLevel(level);
+				checkLevel(failLevel);
+				const start = now();
+				const mark = addMark(name);
+				const settle = (failed) => {
+					const durationMs = now() - start;
+					addMeasure(name, start, mark);
+					if(failed){
+						log(failLevel, `${name} failed after ${durationMs.toFixed(1)}ms`, {durationMs, failed});
+					}else{
+						log(level, `${name}: ${durationMs.toFixed(1)}ms`, {durationMs});
+					}
+				};
+				let result;
+				try{
+					result = typeof task === 'function' ? task() : task;
+				}catch(e){
+					settle(true);
+					throw e;
+				}
+				if(typeof result?.then !== 'function'){
+					settle(false);
+					return result;
+				}
+				return result.then((value) => {
+					settle(false);
+					return value;
+				}, (e) => {
+					settle(true);
+					throw e;
+				});
+			}
+		},
+		/**
+		 * Start a timer, which `timeEnd` logs the duration of.
+		 *
+		 * @param {string} [label='default'] - The label of the timer.
+		 * @example logger.time('render');
+		 */
+		time: {
+			value: (label = 'default') => {
+				timers.set(label, {start: now(), mark: addMark(label)});
+			}
+		},
+		/**
+		 * Stop a timer, logging its duration as `durationMs`.
+		 *
+		 * @param {string} [label='default'] - The label of the timer.
+		 * @param {Object} [options] - The options.
+		 * @param {string} [options.level='info'] - The level to log at.
+		 * @returns {number|undefined} The duration in milliseconds, or undefined if the timer does not exist.
+		 * @example logger.timeEnd('render', {level: 'debug'}); // render: 12.3ms
+		 */
+		timeEnd: {
+			value: (label = 'default', {level = 'info'} = {}) => {
+				checkLevel(level);
+				const {start, mark} = timers.get(label) ?? {};
+				if(start === undefined){
+					warn(`Timer '${label}' does not exist`);
+					return undefined;
+				}
+				timers.delete(label);
+				const durationMs = now() - start;
+				addMeasure(label, start, mark);
+				log(level, `${label}: ${durationMs.toFixed(1)}ms`, {durationMs});
+				return durationMs;
+			}
+		}
+	};
+}
+
+export {availableLevel, compileCategory, compileRedaction, defaultRedaction, matchCategory, matchRules, pollRemoteConfig, RateLimiter, redactValue, timingMethods};
@@ -0,0 +1,180 @@
+const {assert} = require('chai');
+
+/**
+ * The API shared by the node (logger.js) and browser (blogger.js) Loggers, run against either one.
+ *
+ * @param {string} name - The name of the implementation, used in the test titles.
+ * @param {Function} Logger - The Logger under test.
+ * @param {Object} adapter - Bridges the differences between the implementations.
+ * @param {Function} adapter.createTransport - Creates a transport that pushes each record it receives onto the given
+ * array, as `{level, msg, category, meta}`.
+ */
+module.exports = function conformance(name, Logger, {createTransport}){
+	describe(`${name} Logger conformance`, function(){
+		const commonLevels = ['error', 'warn', 'info', 'debug', 'silly'];
+
+		before(function(){
+			this.originalLevel = Logger.getLogLevel();
+		});
+		after(function(){
+			Logger.setLogLevel(this.originalLevel);
+		});
+		beforeEach(function(){
+			this.records = [];
+			this.transport = createTransport(this.records);
+			Logger.addTransport('conformance', this.transport);
+			Logger.setLogLevel('debug');
+			this.UUT = new Logger('conformance');
+		});
+		afterEach(function(){
+			Logger.clearRedaction();
+			Logger.removeTransport('conformance');
+		});
+		it('should provide the common levels', function(){
+			commonLevels.forEach((level) => {
+				assert.include(Logger.levels, level);
+				assert.isFunction(this.UUT[level], `${level} should be a function on Logger instance`);
+			});
+			assert.deepEqual(Logger.levels.filter(level => commonLevels.includes(level)), commonLevels, 'Levels should be ordered most severe first');
+		});
+		it('should get and set the log level', async function(){
+			Logger.setLogLevel('warn');
+			assert.equal(Logger.getLogLevel(), 'warn');
+			assert.equal(Logger.level, 'warn');
+
+			this.UUT.info('filtered');
+			this.UUT.warn('logged');
+			await Logger.flush();
+			assert.deepEqual(this.records.map(({level, msg}) => ({level, msg})), [{level: 'warn', msg: 'logged'}]);
+
+			assert.throws(() => Logger.setLogLevel('verbose-ish'), 'verbose-ish is not a valid logger level');
+		});
+		it('should override the level of categories', async function(){
+			Logger.setLogLevel('warn');
+			Logger.setLogLevel({'conformance/*': 'debug', 'conformance/quiet.js': 'error'});
+			new Logger('conformance/cart.js').debug('logged');
+			new Logger('conformance/quiet.js').warn('filtered');
+			this.UUT.info('filtered');
+			assert.equal(Logger.getLogLevel('conformance/cart.js'), 'debug');
+			assert.equal(Logger.getLogLevel(), 'warn');
+
+			Logger.clearLogLevel('conformance/*');
+			new Logger('conformance/cart.js').debug('filtered');
+			Logger.clearLogLevel();
+			await Logger.flush();
+			assert.deepEqual(this.records.map(({category, msg}) => `${category} ${msg}`), ['conformance/cart.js logged']);
+		});
+		it('should log silly as its own level', async function(){
+			this.UUT.silly('filtered');
+			Logger.setLogLevel('silly');
+			this.UUT.silly('logged');
+			await Logger.flush();
+			assert.deepEqual(this.records.map(({level, msg}) => ({level, msg})), [{level: 'silly', msg: 'logged'}]);
+		});
+		it('should use custom levels', async function(){
+			Logger.setLevels({fatal: 0, error: 1, audit: 2, info: 3, debug: 4});
+			try{
+				assert.deepEqual(Logger.levels.filter(level => level !== 'noop'), ['fatal', 'error', 'audit', 'info', 'debug']);
+				this.UUT.fatal('Down');
+				Logger.setLogLevel('audit');
+				this.UUT.audit('Exported');
+				this.UUT.info('filtered');
+				assert.isUndefined(this.UUT.warn, 'Removed levels should have no method');
+				assert.throws(() => Logger.setLevels({log: 0}), 'log is not a valid level');
+				assert.throws(() => Logger.setLevels({}), '{} is not a valid level set');
+				assert.throws(() => Logger.setLevels({fatal: 0, error: 0}), '{"fatal":0,"error":0} is not a valid level set');
+				['constructor', 'toString', 'valueOf', 'hasOwnProperty', 'count', 'countReset', 'time', 'timeEnd', 'measure'].forEach((name) => {
+					assert.throws(() => Logger.setLevels({[name]: 0}), `${name} is not a valid level`);
+				});
+				await Logger.flush();
+			}finally{
+				Logger.setLevels();
+			}
+			assert.deepEqual(this.records.map(({level, msg}) => `${level} ${msg}`), ['fatal Down', 'audit Exported']);
+			assert.isFunction(this.UUT.warn);
+		});
+		it('should add, list and remove transports by name or instance', async function(){
+			assert.include(Logger.listTransports(), 'conformance');
+
+			Logger.removeTransport(this.transport);
+			assert.notInclude(Logger.listTransports(), 'conformance');
+			this.UUT.info('not delivered');
+			await Logger.flush();
+			assert.lengthOf(this.records, 0);
+
+			Logger.addTransport('conformance', this.transport);
+			Logger.removeTransport('conformance');
+			assert.notInclude(Logger.listTransports(), 'conformance');
+			assert.doesNotThrow(() => Logger.removeTransport('conformance'), 'Removing a missing transport should do nothing');
+		});
+		it('should rate limit and collapse duplicates per category', async function(){
+			const before = Logger.dropped;
+			Logger.setRateLimit({rate: 1, burst: 2}, 'conformance');
+			['a', 'b', 'c'].forEach(msg => this.UUT.info(msg));
+			Logger.setRateLimit({duplicates: 60000}, 'conformance');
+			['same', 'same', 'same', 'other'].forEach(msg => this.UUT.info(msg));
+			Logger.clearRateLimit('conformance');
+			await Logger.flush();
+
+			assert.deepEqual(this.records.map(({msg}) => msg), ['a', 'b', 'same', 'Last message repeated 2 times in 1s', 'other']);
+			assert.equal(Logger.dropped.categories.conformance - (before.categories.conformance ?? 0), 1);
+			assert.equal(Logger.dropped.duplicates.conformance - (before.duplicates.conformance ?? 0), 2);
+			assert.throws(() => Logger.setRateLimit({rate: 0}), '{"rate":0} is not a valid rate limit');
+		});
+		it('should redact keys and patterns the same way', async function(){
+			Logger.setRedaction({
+				keys: ['password', /^number$/],
+				patterns: [{match: 'email', strategy: 'hash'}, 'card'],
+				salt: 's3'
+			});
+			const user = {name: 'alice', password: 'hunter2', cards: [{number: 4111, expires: '12/30'}]};
+			new Logger('conformance', {user}).info('Signed in alice@example.com with 4111 1111 1111 1111, not 4111 1111 1111 1112', {user});
+			await Logger.flush();
+
+			assert.equal(this.records[0].msg, 'Signed in [hash:df67e0bac3427000] with [REDACTED], not 4111 1111 1111 1112');
+			assert.deepEqual(this.records[0].meta.user, {name: 'alice', password: '[REDACTED]', cards: [{number: '[REDACTED]', expires: '12/30'}]});
+			assert.equal(user.password, 'hunter2', 'The logged object should not be changed');
+			assert.deepEqual(Logger.redact({apiKey: 'k', token: 't'}), {apiKey: 'k', token: 't'});
+			Logger.setRedaction();
+			assert.deepEqual(Logger.redact({apiKey: 'k', api_key: 'k', x: 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.sig'}), {apiKey: '[REDACTED]', api_key: '[REDACTED]', x: '[REDACTED]'});
+			assert.throws(() => Logger.setRedaction({keys: [{match: 'ssn', strategy: 'shred'}]}), 'shred is not a valid redaction strategy');
+			Logger.setRedaction({keys: [/token$/gi]});
+			assert.deepEqual(Logger.redact({accessToken: 'a', refreshToken: 'r', idToken: 'i'}), {accessToken: '[REDACTED]', refreshToken: '[REDACTED]', idToken: '[REDACTED]'});
+		});
+		it('should log timings and counts', async function(){
+			this.UUT.time('load');
+			assert.isAtLeast(this.UUT.timeEnd('load', {level: 'debug'}), 0);
+			assert.equal(this.UUT.count('clicks'), 1);
+			this.UUT.count('clicks');
+			this.UUT.countReset('clicks');
+			this.UUT.count('clicks');
+			assert.equal(this.UUT.measure('sum', () => 1 + 2), 3);
+			assert.equal(await this.UUT.measure('fetch', Promise.resolve('rows'), {level: 'warn'}), 'rows');
+			assert.throws(() => this.UUT.measure('parse', () => JSON.parse('{')));
+			assert.throws(() => this.UUT.measure('lex', () => JSON.parse('{'), {failLevel: 'warn'}));
+			assert.throws(() => this.UUT.count('clicks', {level: 'loud'}), 'loud is not a valid logger level');
+			await Logger.flush();
+
+			assert.deepEqual(this.records.map(({level, msg}) => `${level} ${msg.replace(/[\d.]+ms/, 'Nms')}`), [
+				'debug load: Nms',
+				'info clicks: 1',
+				'info clicks: 2',
+				'info clicks: 1',
+				'info sum: Nms',
+				'warn fetch: Nms',
+				'error parse failed after Nms',
+				'warn lex failed after Nms'
+			]);
+		});
+		it('should bind context to child loggers', async function(){
+			const parent = new Logger('conformance', {tenant: 'acme'});
+			parent.child({orderId: 'A-1'}).info('Order placed');
+			parent.info('Cart opened');
+			await Logger.flush();
+			assert.equal(this.records[0].category, 'conformance');
+			assert.deepInclude(this.records[0].meta, {tenant: 'acme', orderId: 'A-1'});
+			assert.deepInclude(this.records[1].meta, {tenant: 'acme'});
+			assert.notProperty(this.records[1].meta, 'orderId');
+		});
+	});
+};
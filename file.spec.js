@@ -1,12 +1,13 @@
 const chai = require('chai');
 const sinon = require('sinon');
-import Logger, {FileTransport} from './blogger.js';
+import Logger, {FileTransport, JSONLayout, OPFSTransport} from './blogger.js';
 
 const {assert, expect} = chai;
 
 describe('File logging', function(){
 	before(async function(){
 		const fileTransport = new FileTransport({});
+		this.fileTransport = fileTransport;
 		Logger.addTransport('file', fileTransport);
 		Logger.setLogLevel('debug');
 
@@ -17,8 +18,11 @@ describe('File logging', function(){
 		const context = this;
 		this.writeStub = sinon.stub();
 		this.closeStub = sinon.stub();
+		this.seekStub = sinon.stub();
 		window.showSaveFilePicker.returns(Promise.resolve({
+			getFile: () => Promise.resolve(new Blob(['existing log\n'])),
 			createWritable: () => Promise.resolve({
+				seek: context.seekStub.returns(Promise.resolve()),
 				write: context.writeStub.returns(Promise.resolve()),
 				close: context.closeStub.returns(Promise.resolve())
 			})
@@ -46,10 +50,336 @@ describe('File logging', function(){
 		await new Promise((res) => {
 			logger[method](message, {timestamp});
 			setTimeout(res, 1);
-		})
+		});
+		await this.fileTransport.flush();
 		// console.log(JSON.stringify(this.writeStub.getCall(0), null, 2));
 
 		sinon.assert.calledWith(this.writeStub, `${timestamp} [${category}] ${method}: ${message}\n`);
+		sinon.assert.calledWith(this.seekStub, 'existing log\n'.length);
+		sinon.assert.calledOnce(this.closeStub);
+	});
+	it('should substitute console placeholders', async function(){
+		const category = 'file.spec.js';
+		const timestamp = new Date().toISOString();
+
+		const logger = new Logger(category);
+		await new Promise((res) => {
+			logger.info('%cThis is %s #%d', {timestamp, args: ['color: red;', 'test', 10, 'extra']});
+			setTimeout(res, 1);
+		});
+		await this.fileTransport.flush();
+
+		sinon.assert.calledWith(this.writeStub, `${timestamp} [${category}] info: This is test #10 extra\n`);
+	});
+	it('should queue records and write them in order on each flush', async function(){
+		const category = 'file.spec.js';
+		const timestamp = new Date().toISOString();
+		const logger = new Logger(category);
+		this.writeStub.resetHistory();
+		this.closeStub.resetHistory();
+
+		await new Promise((res) => {
+			['first', 'second', 'third'].forEach(msg => logger.info(msg, {timestamp}));
+			setTimeout(res, 1);
+		});
+		sinon.assert.notCalled(this.writeStub);
+
+		await this.fileTransport.flush();
+		sinon.assert.calledOnceWithExactly(this.writeStub, ['first', 'second', 'third'].map(msg => `${timestamp} [${category}] info: ${msg}\n`).join(''));
 		sinon.assert.calledOnce(this.closeStub);
 	});
+	it('should append bound context', async function(){
+		const category = 'file.spec.js';
+		const timestamp = new Date().toISOString();
+		this.writeStub.resetHistory();
+
+		await new Promise((res) => {
+			new Logger(category, {tenant: 'acme'}).child({orderId: 7}).info('Order placed', {timestamp});
+			setTimeout(res, 1);
+		});
+		await this.fileTransport.flush();
+
+		sinon.assert.calledWith(this.writeStub, `${timestamp} [${category}] info: Order placed {"tenant":"acme","orderId":7}\n`);
+	});
+	it('should render tables as text grids', async function(){
+		const category = 'file.spec.js';
+		const timestamp = new Date().toISOString();
+		const table = [
+			{name: 'Alice', age: 30, job: 'Engineer'},
+			{name: 'Bob', age: 25, job: 'Designer'}
+		];
+
+		const logger = new Logger(category);
+		await new Promise((res) => {
+			logger.info(table, {timestamp, isTable: true, args: ['Name', 'Job']});
+			setTimeout(res, 1);
+		});
+		await this.fileTransport.flush();
+
+		sinon.assert.calledWith(this.writeStub, [
+			`${timestamp} [${category}] info:`,
+			'(index) | Name  | Job',
+			'--------+-------+---------',
+			'0       | Alice | Engineer',
+			'1       | Bob   | Designer'
+		].join('\n') + '\n');
+	});
+	it('should indent grouped messages', async function(){
+		const category = 'file.spec.js';
+		const timestamp = new Date().toISOString();
+
+		const logger = new Logger(category);
+		this.writeStub.resetHistory();
+		await new Promise((res) => {
+			logger.info('Outer', {timestamp, group: 'group'});
+			logger.info('Inner', {timestamp, group: 'groupCollapsed'});
+			logger.info('Nested message', {timestamp});
+			logger.info('', {group: 'groupEnd'});
+			logger.info('End of outer', {timestamp, group: 'groupEnd'});
+			logger.info('Ungrouped', {timestamp});
+			setTimeout(res, 1);
+		});
+		await this.fileTransport.flush();
+
+		sinon.assert.calledOnce(this.writeStub);
+		sinon.assert.calledWith(this.writeStub, [
+			`${timestamp} [${category}] info: Outer\n`,
+			`  ${timestamp} [${category}] info: Inner\n`,
+			`    ${timestamp} [${category}] info: Nested message\n`,
+			`${timestamp} [${category}] info: End of outer\n`,
+			`${timestamp} [${category}] info: Ungrouped\n`
+		].join(''));
+	});
+});
+
+/**
+ * An in-memory stand-in for a FileSystemDirectoryHandle.
+ * @param {Object} [options] - The options.
+ * @param {boolean} [options.sync=false] - Offer sync access handles instead of writable streams, as Safari does.
+ * @returns {Object} The directory handle, with its contents in `files`.
+ */
+function memoryDirectory({sync = false} = {}){
+	const files = {};
+	const syncHandle = name => ({
+		getFile: () => Promise.resolve(new Blob([files[name]])),
+		createSyncAccessHandle: () => Promise.resolve({
+			truncate: (size) => {
+				files[name] = files[name].slice(0, size);
+			},
+			write: (bytes, {at}) => {
+				const text = new TextDecoder().decode(bytes);
+				files[name] = files[name].slice(0, at) + text + files[name].slice(at + text.length);
+				return bytes.length;
+			},
+			flush: () => {},
+			close: () => {}
+		})
+	});
+	const handle = name => sync ? syncHandle(name) : ({
+		getFile: () => Promise.resolve(new Blob([files[name]])),
+		createWritable: ({keepExistingData} = {}) => {
+			let data = keepExistingData ? files[name] : '';
+			let position = 0;
+			return Promise.resolve({
+				seek: async (offset) => {
+					position = offset;
+				},
+				write: async (chunk) => {
+					const text = typeof chunk === 'string' ? chunk : await chunk.text();
+					data = data.slice(0, position) + text + data.slice(position + text.length);
+					position += text.length;
+				},
+				close: async () => {
+					files[name] = data;
+				}
+			});
+		}
+	});
+	return {
+		files,
+		getFileHandle: async (name, {create} = {}) => {
+			if(!(name in files)){
+				if(!create){
+					throw new DOMException(`${name} not found`, 'NotFoundError');
+				}
+				files[name] = '';
+			}
+			return handle(name);
+		},
+		removeEntry: async (name) => {
+			if(!(name in files)){
+				throw new DOMException(`${name} not found`, 'NotFoundError');
+			}
+			delete files[name];
+		}
+	};
+}
+
+describe('File rotation', function(){
+	beforeEach(function(){
+		this.directory = memoryDirectory();
+		this.windowDirectoryPicker = window.showDirectoryPicker;
+		window.showDirectoryPicker = sinon.stub().resolves(this.directory);
+	});
+	afterEach(function(){
+		window.showDirectoryPicker = this.windowDirectoryPicker;
+	});
+	it('should pick a directory when rotating', async function(){
+		const fileTransport = new FileTransport({maxSize: 100});
+		await fileTransport.initialize();
+		sinon.assert.calledOnce(window.showDirectoryPicker);
+		fileTransport.log({msg: 'Rotating', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		await fileTransport.flush();
+		assert.deepEqual(this.directory.files, {'app.log': 'now [file.spec.js] info: Rotating\n'});
+	});
+	it('should rotate by size and keep maxFiles files', async function(){
+		const fileTransport = new FileTransport({maxSize: 40, maxFiles: 3, fileName: 'kiosk.log'});
+		await fileTransport.initialize();
+		const line = n => `now [file.spec.js] info: Message ${n}\n`;
+		for(let n = 1; n <= 4; n++){
+			fileTransport.log({msg: `Message ${n}`, level: 'info', category: 'file.spec.js', timestamp: 'now'});
+			if(n % 2 === 0){
+				await fileTransport.flush();
+			}
+		}
+		assert.deepEqual(this.directory.files, {
+			'kiosk.log': line(4),
+			'kiosk.1.log': line(3),
+			'kiosk.2.log': line(2)
+		});
+	});
+	it('should flush periodically', async function(){
+		const fileTransport = new FileTransport({maxSize: 1000, flushInterval: 5});
+		await fileTransport.initialize();
+		fileTransport.log({msg: 'Periodic', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		assert.deepEqual(this.directory.files, {});
+		await new Promise((res) => setTimeout(res, 20));
+		assert.deepEqual(this.directory.files, {'app.log': 'now [file.spec.js] info: Periodic\n'});
+	});
+	it('should remove its page listener and write its records when removed, and add it back when it logs again', async function(){
+		const addSpy = sinon.spy(window, 'addEventListener');
+		const removeSpy = sinon.spy(window, 'removeEventListener');
+		try{
+			const fileTransport = new FileTransport({maxSize: 1000});
+			await fileTransport.initialize();
+			Logger.addTransport('rotating', fileTransport);
+			fileTransport.log({msg: 'Closing', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+			Logger.removeTransport('rotating');
+			await new Promise((res) => setTimeout(res, 1));
+			assert.deepEqual(this.directory.files, {'app.log': 'now [file.spec.js] info: Closing\n'}, 'Queued records should be written when the transport is closed');
+			const [, pagehide] = addSpy.getCalls().find(call => call.args[0] === 'pagehide').args;
+			sinon.assert.calledWith(removeSpy, 'pagehide', pagehide);
+
+			fileTransport.log({msg: 'Again', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+			assert.equal(addSpy.getCalls().filter(call => call.args[0] === 'pagehide').length, 2);
+			await fileTransport.close();
+		}finally{
+			addSpy.restore();
+			removeSpy.restore();
+		}
+	});
+});
+
+describe('OPFS logging', function(){
+	beforeEach(function(){
+		this.directory = memoryDirectory();
+		this.getDirectoryStub = sinon.stub(navigator.storage, 'getDirectory').resolves({
+			getDirectoryHandle: sinon.stub().withArgs('log-ng', {create: true}).resolves(this.directory)
+		});
+	});
+	afterEach(function(){
+		sinon.restore();
+	});
+	it('should write without a user gesture', async function(){
+		const UUT = new OPFSTransport({});
+		UUT.log({msg: 'Started', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		await UUT.flush();
+		sinon.assert.calledOnce(this.getDirectoryStub);
+		assert.deepEqual(this.directory.files, {'app.log': 'now [file.spec.js] info: Started\n'});
+	});
+	it('should rotate within the quota', async function(){
+		const UUT = new OPFSTransport({quota: 80, maxFiles: 2});
+		for(let n = 1; n <= 3; n++){
+			UUT.log({msg: `Message ${n}`, level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		}
+		await UUT.flush();
+		assert.deepEqual(this.directory.files, {
+			'app.log': 'now [file.spec.js] info: Message 3\n',
+			'app.1.log': 'now [file.spec.js] info: Message 2\n'
+		});
+	});
+	it('should export the logs as text or zip', async function(){
+		const UUT = new OPFSTransport({quota: 80, maxFiles: 2});
+		UUT.log({msg: 'Message 1', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		UUT.log({msg: 'Message 2', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+
+		const text = await UUT.export();
+		assert.equal(text.type, 'text/plain');
+		assert.equal(await text.text(), 'now [file.spec.js] info: Message 1\nnow [file.spec.js] info: Message 2\n');
+
+		const archive = new DataView(await (await UUT.export({format: 'zip'})).arrayBuffer());
+		assert.equal(archive.getUint32(0, true), 0x04034b50, 'Local file header signature');
+		assert.equal(archive.getUint32(archive.byteLength - 22, true), 0x06054b50, 'End of central directory signature');
+		assert.equal(archive.getUint16(archive.byteLength - 12, true), 2, 'Number of files');
+	});
+	it('should write with a layout', async function(){
+		const pattern = new OPFSTransport({layout: '%-5p %c - %m%n'});
+		pattern.log({msg: 'Started', level: 'warn', category: 'file.spec.js', timestamp: 'now'});
+		await pattern.flush();
+		assert.equal(this.directory.files['app.log'], 'WARN  file.spec.js - Started\n');
+
+		const json = new OPFSTransport({fileName: 'app.jsonl', layout: new JSONLayout()});
+		json.log({msg: 'Started', level: 'info', category: 'file.spec.js', timestamp: 0, meta: {tenant: 'acme'}});
+		await json.flush();
+		assert.deepEqual(JSON.parse(this.directory.files['app.jsonl']), {
+			timestamp: '1970-01-01T00:00:00.000Z',
+			level: 'info',
+			category: 'file.spec.js',
+			msg: 'Started',
+			meta: {tenant: 'acme'}
+		});
+	});
+	it('should remove its page listener and write its records when removed, and add it back when it logs again', async function(){
+		const addSpy = sinon.spy(globalThis, 'addEventListener');
+		const removeSpy = sinon.spy(globalThis, 'removeEventListener');
+		const UUT = new OPFSTransport({});
+		Logger.addTransport('opfs', UUT);
+		UUT.log({msg: 'Closing', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		Logger.removeTransport('opfs');
+		await new Promise((res) => setTimeout(res, 1));
+		assert.deepEqual(this.directory.files, {'app.log': 'now [file.spec.js] info: Closing\n'}, 'Queued records should be written when the transport is closed');
+		const [, pagehide] = addSpy.getCalls().find(call => call.args[0] === 'pagehide').args;
+		sinon.assert.calledWith(removeSpy, 'pagehide', pagehide);
+
+		UUT.log({msg: 'Again', level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		assert.equal(addSpy.getCalls().filter(call => call.args[0] === 'pagehide').length, 2);
+		await UUT.close();
+	});
+	it('should write and rotate through sync access handles without writable streams', async function(){
+		const directory = memoryDirectory({sync: true});
+		navigator.storage.getDirectory.resolves({getDirectoryHandle: sinon.stub().resolves(directory)});
+		const UUT = new OPFSTransport({quota: 80, maxFiles: 2});
+		for(let n = 1; n <= 3; n++){
+			UUT.log({msg: `Message ${n}`, level: 'info', category: 'file.spec.js', timestamp: 'now'});
+		}
+		await UUT.flush();
+		assert.deepEqual(directory.files, {
+			'app.log': 'now [file.spec.js] info: Message 3\n',
+			'app.1.log': 'now [file.spec.js] info: Message 2\n'
+		});
+	});
+	it('should throw where files can be neither streamed nor accessed synchronously', function(){
+		const warnStub = sinon.stub(console, 'warn');
+		const original = Object.getOwnPropertyDescriptor(globalThis, 'FileSystemFileHandle');
+		Object.defineProperty(globalThis, 'FileSystemFileHandle', {configurable: true, writable: true, value: class FileSystemFileHandle{}});
+		try{
+			assert.throws(() => new OPFSTransport({}), 'OPFSTransport requires writable file streams, or a worker for sync access handles');
+			sinon.assert.calledOnce(warnStub);
+		}finally{
+			delete globalThis.FileSystemFileHandle;
+			if(original !== undefined){
+				Object.defineProperty(globalThis, 'FileSystemFileHandle', original);
+			}
+		}
+	});
 });
@@ -0,0 +1,123 @@
+const express = require('express');
+const Logger = require('./logger.js');
+const {parseTraceparent} = require('./middleware.js');
+
+// browser levels the node Logger does not have
+const levelAliases = {
+	trace: 'silly'
+};
+
+/**
+ * Parse a request body into records: a single record, a JSON array of records, or newline delimited JSON.
+ *
+ * @param {Object|Array|string} body - The body, either already parsed by a JSON body parser or as text.
+ * @returns {Array} The records.
+ */
+function parseBody(body){
+	if(typeof body !== 'string'){
+		return Array.isArray(body) ? body : [body];
+	}
+	try{
+		const parsed = JSON.parse(body);
+		return Array.isArray(parsed) ? parsed : [parsed];
+	}catch(e){
+		return body.split('\n').filter(line => line.trim() !== '').map((line) => {
+			try{
+				return JSON.parse(line);
+			}catch(e){
+				return line;
+			}
+		});
+	}
+}
+
+/**
+ * Convert a record sent by APITransport into a winston log entry, or undefined when it is not valid.
+ *
+ * @param {Object} record - The record, with `level`, `msg` (or `message`), `category` and `timestamp`; any other
+ * properties are kept as metadata.
+ * @param {Object} client - Details of the client that sent the record.
+ * @param {Object} [trace] - The trace context of the request, used unless the record has its own `traceId`.
+ * @param {number} maxMessageLength - Messages are truncated to this length.
+ * @returns {Object|undefined}
+ */
+function toEntry(record, client, trace, maxMessageLength){
+	if(record === null || typeof record !== 'object' || Array.isArray(record)){
+		return undefined;
+	}
+	const {category = 'unknown', level: sentLevel, msg, message = msg, timestamp, ...meta} = record;
+	const level = levelAliases[sentLevel] ?? sentLevel;
+	if(!Logger.levels.includes(level) || message === undefined || typeof category !== 'string'){
+		return undefined;
+	}
+	const text = typeof message === 'string' ? message : JSON.stringify(message);
+	return {
+		...meta.traceId === undefined && trace,
+		...meta,
+		client,
+		...timestamp !== undefined && {clientTimestamp: timestamp},
+		fileName: `browser:${category}`,
+		level,
+		message: text.length > maxMessageLength ? `${text.slice(0, maxMessageLength)}…` : text
+	};
+}
+
+/**
+ * Create an Express router that receives the records sent by the browser Logger's APITransport, single or batched
+ * (as a JSON array or newline delimited JSON), and logs them through the node Logger under a
+ * `browser:<category>` file name.  Each entry is given the client's IP address, user agent and origin, and the
+ * `traceId` and `spanId` of the request's `traceparent` header, unless the record carries its own.
+ *
+ * Responds 202 with the number of records accepted and rejected, 400 if none are valid, and 413 if the body or
+ * the number of records is too large.
+ *
+ * @param {Object} [options] - The options.
+ * @param {string|number} [options.limit='100kb'] - The largest body accepted, in bytes or as a string like '1mb'.
+ * @param {number} [options.maxRecords=500] - The most records accepted in one request.
+ * @param {number} [options.maxMessageLength=10000] - Longer messages are truncated.
+ * @returns {Router}
+ * @example
+ * const {createIngestRouter} = require('log-ng/ingest');
+ * app.use('/logs', createIngestRouter({limit: '256kb'}));
+ */
+function createIngestRouter({limit = '100kb', maxRecords = 500, maxMessageLength = 10000} = {}){
+	const router = express.Router();
+
+	// sendBeacon can send any content type, so anything not already parsed is read as text
+	router.post('/', express.text({limit, type: () => true}), (req, res) => {
+		const records = parseBody(req.body);
+		if(records.length > maxRecords){
+			res.status(413).json({error: `${records.length} records exceeds the limit of ${maxRecords}`});
+			return;
+		}
+		const client = {
+			ip: req.ip,
+			origin: req.get('origin'),
+			userAgent: req.get('user-agent')
+		};
+		const trace = parseTraceparent(req.get('traceparent'));
+		const entries = records.map(record => toEntry(record, client, trace, maxMessageLength)).filter(Boolean);
+		if(entries.length === 0){
+			res.status(400).json({error: 'no valid log records'});
+			return;
+		}
+		entries.forEach(entry => Logger.instance.log(entry));
+		res.status(202).json({accepted: entries.length, rejected: records.length - entries.length});
+	});
+
+	router.use((err, req, res, next) => {
+		if(err.type === 'entity.too.large'){
+			res.status(413).json({error: `the body exceeds the limit of ${limit}`});
+			return;
+		}
+		if(err.type === 'entity.parse.failed'){
+			res.status(400).json({error: 'the body is not valid JSON'});
+			return;
+		}
+		next(err);
+	});
+
+	return router;
+}
+
+module.exports = {createIngestRouter};
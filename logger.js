@@ -1,6 +1,397 @@
-const {createLogger, format, transports, Transport} = require('winston');
+const {AsyncLocalStorage} = require('async_hooks');
+const {createHash} = require('crypto');
+const {config: {npm}, createLogger, format, transports, Transport} = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const {availableLevel, compileCategory, compileRedaction, defaultRedaction, matchRules, pollRemoteConfig, RateLimiter, redactValue, timingMethods} = require('./common.js');
 
-const {align, colorize, combine, label, metadata, printf, timestamp} = format;
+const {align, combine, json, printf, timestamp} = format;
+const LEVEL = Symbol.for('level');
+
+const defaults = Object.freeze({
+	console: true,
+	file: false,
+	format: undefined,
+	level: 'info'
+});
+const builtins = ['file', 'console'];
+// the names a level cannot have, as each Logger's own methods would hide the level's method
+const instanceMethods = ['count', 'countReset', 'getLogLevel', 'measure', 'setLogLevel', 'time', 'timeEnd'];
+const types = {};
+let settings = {...defaults};
+let winstonLogger;
+// the levels and their priorities, lower being more severe; changed in place by setLevels, as every transport keeps
+// the levels of the winston logger it is first piped from
+const priorities = {...npm.levels};
+const asyncContext = new AsyncLocalStorage();
+// level overrides by category (file name) pattern
+const categoryLevels = {};
+// stops polling the current remote configuration
+let stopRemoteConfig;
+// the rate limits by category pattern and by transport name, and the formats of the rate limited transports
+const rateLimiter = new RateLimiter(logSummary);
+const originalFormats = new WeakMap();
+const summaryEntry = Symbol('summary');
+// the compiled redaction rules, when redaction is enabled
+let redaction;
+
+/**
+ * Add the metadata of the current async context to a log entry, without replacing the entry's own metadata.
+ */
+const withContext = format((info) => {
+	Object.entries(asyncContext.getStore() ?? {}).forEach(([key, value]) => {
+		if(!(key in info)){
+			info[key] = value;
+		}
+	});
+	return info;
+});
+
+/**
+ * The global log level: that of the winston logger, until categories have levels of their own and the winston logger
+ * has to be as verbose as the most verbose of them.
+ *
+ * @returns {string}
+ */
+function globalLevel(){
+	return Object.keys(categoryLevels).length === 0 ? Logger.instance.level : settings.level;
+}
+
+/**
+ * Resolve the log level for a category from the most specific matching override, or the global level.
+ *
+ * @param {string} category - The category (file name) of the entry.
+ * @returns {string} The log level in effect for the category.
+ */
+function resolveLevel(category){
+	return matchRules(categoryLevels, category) ?? globalLevel();
+}
+
+/**
+ * The level of the winston logger: the most verbose of the global level and the category overrides, so the entries
+ * of every category reach the formats, where byCategory applies their own level.
+ *
+ * @returns {string}
+ */
+function effectiveLevel(){
+	return [settings.level, ...Object.values(categoryLevels)].reduce((verbose, level) => priorities[level] > priorities[verbose] ? level : verbose);
+}
+
+/**
+ * Drop the entries above the level of their category, when categories have levels of their own.
+ */
+const byCategory = format((info) => {
+	if(Object.keys(categoryLevels).length === 0){
+		return info;
+	}
+	return priorities[info.level] <= priorities[resolveLevel(info.fileName)] ? info : false;
+});
+
+/**
+ * Apply the redaction rules to a log entry, leaving its level and winston's own properties alone.
+ */
+const redact = format((info) => {
+	if(redaction === undefined){
+		return info;
+	}
+	const fields = Object.keys(info).filter(key => key !== 'level');
+	const redacted = redactValue(Object.fromEntries(fields.map(key => [key, info[key]])), redaction);
+	fields.forEach(key => delete info[key]);
+	return Object.assign(info, redacted);
+});
+
+/**
+ * Log a summary of collapsed duplicates.
+ *
+ * @param {Object} summary - The summary.
+ * @param {string} summary.category - The category.
+ * @param {string} summary.level - The level of the entry.
+ * @param {string} summary.message - The summary message.
+ * @param {number} summary.repeated - The number of duplicates.
+ * @param {boolean} ahead - Whether the summary goes ahead of the entry being formatted, which it has to be pushed
+ * in front of, as it is logged from within the logger's format.
+ */
+function logSummary({category, level, message, repeated}, ahead){
+	const entry = {fileName: category, level, message, repeated, [summaryEntry]: true};
+	if(ahead){
+		winstonLogger.push(winstonLogger.format.transform({...entry, [LEVEL]: level}, winstonLogger.format.options));
+	}else{
+		winstonLogger.log(entry);
+	}
+}
+
+/**
+ * Apply the rate limit of an entry's category, collapsing it if it repeats the previous entry of the category, and
+ * dropping it when the category's token bucket is empty.
+ */
+const limitRate = format((info) => {
+	if(info[summaryEntry] || !winstonLogger.isLevelEnabled(info.level)){
+		return info;
+	}
+	return rateLimiter.admit(info.fileName, info.level, JSON.stringify([info.level, info.message])) ? info : false;
+});
+
+/**
+ * Apply the rate limit of a named transport, if it has one, by putting a token bucket in front of its format.
+ *
+ * @param {string} name - The name of the transport.
+ */
+function limitTransport(name){
+	const transport = types[name]?.();
+	if(transport === undefined){
+		return;
+	}
+	if(!originalFormats.has(transport)){
+		originalFormats.set(transport, transport.format);
+	}
+	const original = originalFormats.get(transport);
+	if(rateLimiter.transports[name] === undefined){
+		transport.format = original;
+		return;
+	}
+	const limiter = format(info => rateLimiter.admitTransport(name) ? info : false)();
+	transport.format = original === undefined ? limiter : combine(limiter, original);
+}
+
+/**
+ * Give the winston logger, and so every Logger, a method for each level, as winston does for the levels it is
+ * created with, removing those of the levels no longer in use.
+ *
+ * @param {Object} previous - The levels being replaced.
+ */
+function defineLevels(previous){
+	const prototype = Object.getPrototypeOf(Logger.instance);
+	const capitalize = level => `${level.charAt(0).toUpperCase()}${level.slice(1)}`;
+	Object.keys(previous).filter(level => priorities[level] === undefined).forEach((level) => {
+		delete prototype[level];
+		delete prototype[`is${capitalize(level)}Enabled`];
+	});
+	Object.keys(priorities).filter(level => previous[level] === undefined).forEach((level) => {
+		prototype[level] = function(...args){
+			return args.length === 0 ? this.log(level, '') : this.log(level, ...args);
+		};
+		prototype[`is${capitalize(level)}Enabled`] = function(){
+			return this.isLevelEnabled(level);
+		};
+	});
+}
+
+/**
+ * Whether a stream has not yet opened, or still holds data it has to pass on or write.
+ *
+ * @param {Stream} [stream] - The stream to check.
+ * @returns {boolean}
+ */
+function busy(stream){
+	return Boolean(stream?._opening || stream?.pending || stream?.writableLength > 0 || stream?.readableLength > 0);
+}
+
+/**
+ * Resolve once a transport has written everything logged to it so far.
+ *
+ * @param {Transport} transport - The transport to wait for.
+ * @returns {Promise<void>}
+ */
+async function drained(transport){
+	// winston's File transport buffers in a PassThrough before its file stream, and replaces both when it rotates
+	while([transport, transport._stream, transport._dest].some(busy)){
+		await new Promise(setImmediate);
+	}
+}
+
+/**
+ * Register a named transport, replacing any previous registration of that name, and apply its rate limit.
+ *
+ * @param {string} name - The name of the transport.
+ * @param {Transport} transport - The winston transport.
+ */
+function register(name, transport){
+	Object.defineProperty(types, name, {
+		configurable: true,
+		enumerable: true,
+		value: () => transport
+	});
+	limitTransport(name);
+}
+
+/**
+ * Check a set of Logger.configure options, throwing on the first invalid one.
+ *
+ * @param {Object} options - The options passed to Logger.configure.
+ */
+function validate(options){
+	if(options === null || typeof options !== 'object'){
+		throw new Error(`${options} is not a valid Logger.configure options object`);
+	}
+	Object.entries(options).forEach(([key, value]) => {
+		switch(key){
+			case 'console':
+				if(typeof value !== 'boolean' && (value === null || typeof value !== 'object')){
+					throw new Error('console must be a boolean or Console transport options');
+				}
+				break;
+			case 'file':
+				if(value !== false && typeof value !== 'string' && typeof value?.filename !== 'string'){
+					throw new Error('file must be false, a file name or File transport options with a filename');
+				}
+				validateFile(value);
+				break;
+			case 'format':
+				if(value !== undefined && typeof value !== 'function' && typeof value?.transform !== 'function'){
+					throw new Error('format must be a winston format or a function returning the formatted line');
+				}
+				break;
+			case 'level':
+				if(priorities[value] === undefined){
+					throw new Error(`${value} is not a valid logger level`);
+				}
+				break;
+			case 'transports':
+				if(value === null || typeof value !== 'object'){
+					throw new Error('transports must be an object of named winston transports');
+				}
+				Object.entries(value).forEach(([name, transport]) => {
+					if(!(transport instanceof Transport)){
+						throw new Error(`${name} is not a winston Transport`);
+					}
+					if(builtins.includes(name)){
+						throw new Error(`${name} is reserved for the built-in transport`);
+					}
+				});
+				break;
+			default:
+				throw new Error(`${key} is not a valid Logger.configure option`);
+		}
+	});
+}
+
+/**
+ * Check the rotation, retention and output options of the file transport.
+ *
+ * @param {false|string|Object} file - The file option passed to Logger.configure.
+ */
+function validateFile(file){
+	if(typeof file !== 'object'){
+		return;
+	}
+	['maxAge', 'maxFiles', 'maxSize'].forEach((key) => {
+		if(file[key] !== undefined && !(file[key] > 0)){
+			throw new Error(`${file[key]} is not a valid file ${key}`);
+		}
+	});
+	if(file.maxAge !== undefined && file.maxFiles !== undefined){
+		throw new Error('file maxAge and maxFiles cannot be combined');
+	}
+	['compress', 'daily', 'json'].forEach((key) => {
+		if(file[key] !== undefined && typeof file[key] !== 'boolean'){
+			throw new Error(`file ${key} must be a boolean`);
+		}
+	});
+	// winston only compresses the date stamped files, so compressing alone would quietly change how files rotate
+	if(file.compress && !file.daily && file.maxAge === undefined){
+		throw new Error('file compress requires daily or maxAge');
+	}
+}
+
+/**
+ * Create the format shared by the built-in transports.
+ *
+ * @returns {Format}
+ */
+function createFormat(){
+	if(typeof settings.format === 'function'){
+		return printf(settings.format);
+	}
+	return settings.format ?? combine(
+		timestamp(),
+		align(),
+		printf(info => `${info.timestamp} [${info.fileName}] ${info.level}: ${info.message}`)
+	);
+}
+
+/**
+ * Create the file transport. It rotates by size, keeping the current file under its own name; rotating daily, or
+ * keeping the files by age, switches to date stamped files, which alone can be compressed.
+ *
+ * @param {Object} options - The file options, which may include any options of the underlying winston transport.
+ * @param {string} options.filename - The file to log to; with daily rotation, `%DATE%` marks where the date goes.
+ * @param {boolean} [options.compress=false] - Whether to gzip the rotated files; requires `daily` or `maxAge`.
+ * @param {boolean} [options.daily=false] - Whether to start a new file every day.
+ * @param {boolean} [options.json=false] - Whether to write JSON lines, including the metadata, instead of text.
+ * @param {number} [options.maxAge] - The number of days to keep rotated files, instead of a count.
+ * @param {number} [options.maxFiles=5] - The number of files to keep.
+ * @param {number} [options.maxSize=5242880] - The size in bytes at which the file is rotated.
+ * @param {Format} stdFormat - The text format of the built-in transports.
+ * @returns {Transport}
+ */
+function createFileTransport({
+	compress = false,
+	daily = false,
+	json: jsonLines = false,
+	maxAge,
+	maxFiles = 5,
+	maxSize = 5242880,
+	...options
+}, stdFormat){
+	const fileFormat = jsonLines ? combine(timestamp(), json()) : stdFormat;
+	if(daily || maxAge !== undefined){
+		return new DailyRotateFile({
+			datePattern: 'YYYY-MM-DD',
+			format: fileFormat,
+			maxFiles: maxAge === undefined ? maxFiles : `${maxAge}d`,
+			maxSize,
+			zippedArchive: compress,
+			...options
+		});
+	}
+	// winston's zippedArchive compresses the file being written, so it is left off here
+	return new transports.File({
+		format: fileFormat,
+		maxFiles,
+		maxsize: maxSize,
+		tailable: true,
+		...options
+	});
+}
+
+/**
+ * Replace the levels in place, keeping those of the winston logger and its transports the same object.
+ *
+ * @param {Object} levels - The levels and their priorities.
+ */
+function replacePriorities(levels){
+	Object.keys(priorities).forEach(level => delete priorities[level]);
+	Object.assign(priorities, levels);
+}
+
+/**
+ * Replace the built-in file and console transports to match the current settings and apply the settings to the
+ * winston logger, creating it on first use.  The custom transports stay piped to it, since a transport only takes its
+ * parent the first time it is piped to.
+ */
+function apply(){
+	winstonLogger ??= createLogger({levels: priorities});
+	const stdFormat = createFormat();
+	// winston closes the transports it removes
+	builtins.forEach((name) => {
+		winstonLogger.remove(types[name]?.());
+		delete types[name];
+	});
+	if(settings.file){
+		const options = typeof settings.file === 'string' ? {filename: settings.file} : settings.file;
+		register('file', createFileTransport(options, stdFormat));
+	}
+	if(settings.console){
+		register('console', new transports.Console({
+			format: stdFormat,
+			...(typeof settings.console === 'object' ? settings.console : {})
+		}));
+	}
+	winstonLogger.format = combine(byCategory(), withContext(), redact(), limitRate());
+	winstonLogger.level = effectiveLevel();
+	[...builtins, ...Object.keys(types).filter(name => !builtins.includes(name))]
+		.filter(name => types[name] !== undefined && !winstonLogger.transports.includes(types[name]()))
+		.forEach(name => winstonLogger.add(types[name]()));
+}
 
 function Logger(fileName, customMetadata = {}){
 	if (fileName === undefined) {
@@ -10,68 +401,12 @@ function Logger(fileName, customMetadata = {}){
 		return new Logger(...arguments);
 	}
 
-	// TODO fix this ugly hack
-	if(Logger.instance === undefined && typeof fileName === 'object'){
-		const config = fileName;
-		const types = {};
-		const stdFormat = combine(
-			// metadata(),
-			// metadata({ fillWith: ['fileName'].concat(Object.keys(customMetadata)) }),
-			metadata({ fillWith: Object.keys(customMetadata) }),
-			timestamp({format: 'YY-M-D hh:mm:ss:SSS'}),
-			// label({label: }),
-			// colorize(),
-			align(),
-			printf(info => `${info.timestamp} [${info.fileName}] ${info.level}: ${info.message}`)
-		);
-		Object.defineProperties(Logger, {
-			addTransport: {
-				value: (name, newTransport) => {
-					if (newTransport instanceof Transport && types[name] === undefined) {
-						Object.defineProperty(types, name, {
-							configurable: true,
-							enumerable: true,
-							value: () => newTransport
-						});
-					}
-					Logger.instance.add(types[name]());
-				}
-			},
-			getLogLevel: {
-				value: () => Logger.instance.level
-			},
-			instance: {
-				value: createLogger({
-					level: config.logLevel,
-					transports: [new transports.File({
-						filename: config.logFile,
-						format: stdFormat,
-						maxsize: '5242880',
-						zippedArchive: true
-					}), new transports.Console({
-						format: stdFormat
-					})]
-				})
-			},
-			removeTransport: {
-				value: (transportToRemove) => {
-					if (typeof transportToRemove === 'string') {
-						Logger.instance.remove(types[transportToRemove]());
-						delete types[transportToRemove];
-					} else {
-						Logger.instance.remove(transportToRemove);
-						// TODO: find and delete when no name given
-					}
-				}
-			},
-			setLogLevel: {
-				value: (newLevel) => {
-					Logger.instance.level = newLevel;
-				}
-			},
-			transportTypes: {
-				get: () => types
-			}
+	// the original configuration call, Logger({logLevel, logFile})
+	if(typeof fileName === 'object'){
+		const {logFile, logLevel} = fileName;
+		Logger.configure({
+			...(logLevel === undefined ? {} : {level: logLevel}),
+			...(logFile === undefined ? {} : {file: logFile})
 		});
 	}
 
@@ -81,15 +416,367 @@ function Logger(fileName, customMetadata = {}){
 	});
 	Object.defineProperties(logger, {
 		getLogLevel: {
-			value: () => Logger.instance.level
+			value: () => Logger.getLogLevel(fileName)
 		},
 		setLogLevel: {
 			value: (newLevel) => {
-				Logger.instance.level = newLevel;
+				Logger.setLogLevel(newLevel);
 			}
-		}
+		},
+		...timingMethods({
+			log: (level, message, meta) => logger.log(level, message, meta),
+			isLevel: level => priorities[level] !== undefined,
+			warn: message => logger.log(availableLevel('warn', Logger.levels), message)
+		})
 	});
 	return logger;
 }
 
+Object.defineProperties(Logger, {
+	addTransport: {
+		value: (name, newTransport) => {
+			if (newTransport instanceof Transport && types[name] === undefined) {
+				register(name, newTransport);
+			}
+			Logger.instance.add(types[name]());
+		}
+	},
+	/**
+	 * Remove a category level override so the category falls back to the next most specific rule.
+	 *
+	 * @param {string} [category] - The category pattern to clear; all overrides are cleared when omitted.
+	 */
+	clearLogLevel: {
+		value: (category) => {
+			Object.keys(categoryLevels)
+				.filter(key => category === undefined || key === category)
+				.forEach(key => delete categoryLevels[key]);
+			Logger.instance.level = effectiveLevel();
+		}
+	},
+	/**
+	 * Remove a category pattern's rate limit; summaries of collapsed duplicates are logged straight away.
+	 *
+	 * @param {string} [category] - The category pattern to clear; all rate limits are cleared when omitted.
+	 */
+	clearRateLimit: {
+		value: (category) => {
+			rateLimiter.clear(category);
+		}
+	},
+	/**
+	 * Configure the Logger; may be called at any time, and loggers already created pick up the new configuration.
+	 * Options are merged into the current configuration, and any that are left out keep their current value.
+	 *
+	 * @param {Object} options - The configuration.
+	 * @param {string} [options.level='info'] - The log level.
+	 * @param {boolean|Object} [options.console=true] - Whether to log to the console, or Console transport options.
+	 * @param {false|string|Object} [options.file=false] - The file to log to, or its options (see createFileTransport).
+	 * @param {Format|Function} [options.format] - The format of the built-in transports; a function is given the log
+	 * info and returns the line.
+	 * @param {Object<string, Transport>} [options.transports] - Additional named transports.
+	 */
+	configure: {
+		value: (options) => {
+			validate(options);
+			const {transports: additional = {}, ...rest} = options;
+			settings = {...settings, ...rest};
+			Object.entries(additional)
+				.filter(([name, transport]) => types[name]?.() !== transport)
+				.forEach(([name, transport]) => {
+					Logger.removeTransport(name);
+					register(name, transport);
+				});
+			apply();
+		}
+	},
+	/**
+	 * Stop redacting entries.
+	 */
+	clearRedaction: {
+		value: () => {
+			redaction = undefined;
+		}
+	},
+	/**
+	 * The number of entries dropped by rate limits, by category and transport name, and of duplicates collapsed,
+	 * by category.
+	 */
+	dropped: {
+		get: () => rateLimiter.dropped
+	},
+	/**
+	 * Wait until the transports have written everything logged so far.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	flush: {
+		value: async () => {
+			await Promise.all(Logger.instance.transports.map(drained));
+		}
+	},
+	/**
+	 * The metadata of the current async context, as set by runWithContext.
+	 *
+	 * @returns {Object}
+	 */
+	getContext: {
+		value: () => ({...asyncContext.getStore()})
+	},
+	/**
+	 * Get the global log level, or the level in effect for a category.
+	 *
+	 * @param {string} [category] - The category (file name).
+	 * @returns {string}
+	 */
+	getLogLevel: {
+		value: category => category === undefined ? globalLevel() : resolveLevel(category)
+	},
+	/**
+	 * The winston logger shared by every Logger, created with the default configuration on first use.
+	 */
+	instance: {
+		get: () => {
+			if(winstonLogger === undefined){
+				apply();
+			}
+			return winstonLogger;
+		}
+	},
+	level: {
+		get: () => globalLevel()
+	},
+	/**
+	 * The valid log levels, most severe first.
+	 */
+	levels: {
+		get: () => Object.keys(Logger.instance.levels).sort((a, b) => Logger.instance.levels[a] - Logger.instance.levels[b])
+	},
+	/**
+	 * List the names of the transports.
+	 *
+	 * @returns {Array<string>}
+	 */
+	listTransports: {
+		value: () => Object.keys(types).filter(name => Logger.instance.transports.includes(types[name]()))
+	},
+	removeTransport: {
+		value: (transportToRemove) => {
+			if (typeof transportToRemove === 'string') {
+				if(types[transportToRemove] === undefined){
+					return;
+				}
+				Logger.instance.remove(types[transportToRemove]());
+				delete types[transportToRemove];
+			} else {
+				Logger.instance.remove(transportToRemove);
+				const name = Object.keys(types).find(key => types[key]() === transportToRemove);
+				if(name !== undefined){
+					delete types[name];
+				}
+			}
+		}
+	},
+	/**
+	 * Apply the redaction rules to a value, e.g. before sending it elsewhere.
+	 *
+	 * @param {*} value - The value to redact; plain objects and arrays are copied, not changed.
+	 * @returns {*} The redacted value.
+	 */
+	redact: {
+		value: value => redaction === undefined ? value : redactValue(value, redaction)
+	},
+	/**
+	 * Restore the default configuration, removing every added transport, rate limit and redaction rule.
+	 */
+	reset: {
+		value: () => {
+			settings = {...defaults};
+			redaction = undefined;
+			stopRemoteConfig?.();
+			Object.keys(categoryLevels).forEach(key => delete categoryLevels[key]);
+			Logger.clearRateLimit();
+			const previous = {...priorities};
+			replacePriorities(npm.levels);
+			defineLevels(previous);
+			Object.keys(rateLimiter.transports).forEach(name => Logger.setTransportRateLimit(name));
+			Object.keys(types).filter(name => !builtins.includes(name)).forEach(name => Logger.removeTransport(name));
+			apply();
+		}
+	},
+	/**
+	 * Run a function with metadata that every log entry made during it, including from asynchronous work it starts,
+	 * carries; nested calls add to the metadata of the enclosing ones.
+	 *
+	 * @param {Object} context - The metadata, such as a request ID.
+	 * @param {Function} callback - The function to run.
+	 * @returns {*} The result of the function.
+	 */
+	runWithContext: {
+		value: (context, callback) => asyncContext.run({...asyncContext.getStore(), ...context}, callback)
+	},
+	/**
+	 * Redact secrets and personal data from every entry before it reaches the transports, with the same rules as the
+	 * browser Logger; paths are relative to the entry, e.g. `user.email` for `logger.info('login', {user})`.
+	 *
+	 * @param {Object} [config] - The redaction rules; the defaults redact common secret keys, and emails, card
+	 * numbers and JWTs.
+	 * @param {Array<string|RegExp|Object>} [config.keys=[]] - Redact the values of properties with these names,
+	 * ignoring case and punctuation.
+	 * @param {Array<string|Object>} [config.paths=[]] - Redact the values at these dot paths, where `*` matches any key.
+	 * @param {Array<string|RegExp|Object>} [config.patterns=[]] - Redact matches of 'card', 'email', 'jwt' or a RegExp.
+	 * @param {string} [config.strategy='mask'] - 'mask', 'hash' or 'remove'; rules given as `{match, strategy}` use
+	 * their own.
+	 * @param {string} [config.salt=''] - Prefixed to values before hashing.
+	 * @throws {Error} Throws an error if a strategy or pattern is not valid.
+	 */
+	setRedaction: {
+		value: (config = defaultRedaction) => {
+			redaction = compileRedaction(config, text => createHash('sha256').update(text).digest('hex'));
+		}
+	},
+	/**
+	 * Limit the entries logged for a category (file name), or for every category, using a token bucket per category,
+	 * and optionally collapse repeats of an entry into a single "Last message repeated 57 times in 5s" summary.
+	 * Category patterns work as for `setLogLevel`.
+	 *
+	 * @param {Object} limit - The rate limit.
+	 * @param {number} [limit.rate] - The entries per second logged on average.
+	 * @param {number} [limit.burst=rate] - The entries that may be logged at once.
+	 * @param {number} [limit.duplicates] - Collapse entries repeating the previous one of the category, summarizing
+	 * them after this many milliseconds, or when a different entry is logged.
+	 * @param {string} [category='*'] - The category pattern the limit applies to.
+	 * @throws {Error} Throws an error if the limit is not valid.
+	 */
+	setRateLimit: {
+		value: (limit, category = '*') => {
+			rateLimiter.set(limit, category);
+		}
+	},
+	/**
+	 * Limit the entries written by a named transport, using a token bucket, e.g. to protect a remote endpoint.
+	 *
+	 * @param {string} name - The name of the transport.
+	 * @param {Object} [limit] - The rate limit, with `rate` and `burst` as for setRateLimit; removed when omitted.
+	 * @throws {Error} Throws an error if the limit is not valid.
+	 */
+	setTransportRateLimit: {
+		value: (name, limit) => {
+			rateLimiter.setTransport(name, limit);
+			limitTransport(name);
+		}
+	},
+	/**
+	 * Replace the levels of the winston logger, e.g. to add `fatal`, `audit` or `notice`; every Logger gets a method
+	 * for each level.  If the current level is no longer defined, the most verbose level is used; category levels and
+	 * transport levels that are no longer defined are removed.
+	 *
+	 * @param {Object} [levels] - The levels and their priorities, lower being more severe; winston's npm levels when
+	 * omitted.
+	 * @param {Object} [options] - The options; `consoleMethod` only applies to the browser Logger.
+	 * @throws {Error} Throws an error if a level is not valid, or two levels share a priority.
+	 * @example Logger.setLevels({fatal: 0, error: 1, warn: 2, audit: 3, info: 4, debug: 5});
+	 */
+	setLevels: {
+		value: (levels = npm.levels) => {
+			const names = Object.keys(levels);
+			if(names.length === 0 || new Set(Object.values(levels)).size < names.length){
+				throw new Error(`${JSON.stringify(levels)} is not a valid level set`);
+			}
+			names.forEach((name) => {
+				const taken = instanceMethods.includes(name) || (name in Logger.instance && !Object.hasOwn(priorities, name));
+				if(!/^[a-z][A-Za-z0-9]*$/.test(name) || taken || !Number.isInteger(levels[name]) || levels[name] < 0){
+					throw new Error(`${name} is not a valid level`);
+				}
+			});
+			// the summaries of collapsed duplicates are logged at the levels they were collapsed at
+			rateLimiter.summarize();
+			const previous = {...priorities};
+			replacePriorities(levels);
+			defineLevels(previous);
+			if(priorities[settings.level] === undefined){
+				settings.level = names.reduce((verbose, level) => priorities[level] > priorities[verbose] ? level : verbose);
+			}
+			Object.entries(categoryLevels)
+				.filter(([_pattern, level]) => priorities[level] === undefined)
+				.forEach(([pattern]) => delete categoryLevels[pattern]);
+			apply();
+			winstonLogger.transports
+				.filter(transport => transport.level !== undefined && priorities[transport.level] === undefined)
+				.forEach((transport) => {
+					transport.level = undefined;
+				});
+		}
+	},
+	/**
+	 * Set the log level, either globally or for the categories (file names) matching a pattern: an exact category, a
+	 * directory prefix (`routes` covers `routes/orders.js`), or a glob using `*`.  The most specific rule wins.
+	 *
+	 * @param {string|Object} newLevel - The new log level, or a map of category patterns to levels.
+	 * @param {string} [category] - The category pattern the level applies to.
+	 * @throws {Error} Throws an error if the level is not valid.
+	 * @example Logger.setLogLevel('debug', 'routes/*');
+	 */
+	setLogLevel: {
+		value: (newLevel, category) => {
+			if(newLevel instanceof Object){
+				Object.entries(newLevel).forEach(([pattern, level]) => Logger.setLogLevel(level, pattern));
+				return;
+			}
+			if(Logger.instance.levels[newLevel] === undefined){
+				throw new Error(`${newLevel} is not a valid logger level`);
+			}
+			if(category === undefined){
+				settings.level = newLevel;
+			}else{
+				// the winston logger's level may have been set directly, and is about to be replaced
+				settings.level = globalLevel();
+				compileCategory(category);
+				categoryLevels[category] = newLevel;
+			}
+			Logger.instance.level = effectiveLevel();
+		}
+	},
+	transportTypes: {
+		get: () => types
+	},
+	/**
+	 * Poll a JSON document for the global level, category levels and enabled transports, applying each change live,
+	 * e.g. to raise logging during an incident: `{"level": "info", "categories": {"routes/*": "debug"},
+	 * "transports": {"console": false, "audit": {"level": "warn"}}}`.  A transport may be enabled with `true`, or with
+	 * its `level`.  A document that cannot be fetched or is not valid is reported and ignored, keeping the last good
+	 * configuration.  Calling it again replaces the polling.
+	 *
+	 * @param {Object} options - The options.
+	 * @param {string} options.url - The URL of the document.
+	 * @param {number} [options.interval=60000] - How often to fetch the document, in milliseconds.
+	 * @param {Object} [options.transports={}] - Transports the document may enable, by name, besides the current ones.
+	 * @param {Object} [options.headers] - Headers sent with each request, e.g. for authorization.
+	 * @returns {{refresh: Function, stop: Function}} `refresh()` fetches the document now and resolves to the
+	 * configuration in effect; `stop()` ends the polling, keeping the configuration.
+	 * @example Logger.useRemoteConfig({url: 'https://config.example.com/logging.json', interval: 30000});
+	 */
+	useRemoteConfig: {
+		value: ({url, interval = 60000, transports: extra = {}, headers} = {}) => {
+			stopRemoteConfig?.();
+			const remoteConfig = pollRemoteConfig({url, interval, init: {headers}}, {
+				Logger,
+				available: {...Object.fromEntries(Logger.listTransports().map(name => [name, types[name]()])), ...extra},
+				transportOptions: ['level'],
+				enable: (name, transport, {level} = {}) => {
+					if(level !== undefined){
+						transport.level = level;
+					}
+					if(!Logger.listTransports().includes(name)){
+						Logger.addTransport(name, transport);
+					}
+				},
+				report: e => Logger.instance.log(availableLevel('warn', Logger.levels), `The remote log configuration was not applied: ${e.message}`, {fileName: 'log-ng'})
+			});
+			stopRemoteConfig = remoteConfig.stop;
+			return remoteConfig;
+		}
+	}
+});
+
 module.exports = Logger;
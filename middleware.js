@@ -0,0 +1,111 @@
+const {randomUUID} = require('crypto');
+const Logger = require('./logger.js');
+const {availableLevel} = require('./common.js');
+
+// request IDs accepted from clients: printable, without spaces, and of a sensible length
+const validRequestId = /^[\x21-\x7e]{1,200}$/;
+const traceparentFormat = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * Parse a W3C Trace Context `traceparent` header.
+ *
+ * @param {string} [header] - The header value.
+ * @returns {{traceId: string, spanId: string}|undefined} The trace and parent span IDs, or undefined when the header
+ * is missing or not valid.
+ * @example parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+ */
+function parseTraceparent(header){
+	const [, version, traceId, spanId, , rest] = traceparentFormat.exec(header?.trim().toLowerCase() ?? '') ?? [];
+	if(version === undefined || version === 'ff' || (version === '00' && rest !== undefined) || /^0+$/.test(traceId) || /^0+$/.test(spanId)){
+		return undefined;
+	}
+	return {traceId, spanId};
+}
+
+/**
+ * Count the bytes of the response body as it is written.
+ *
+ * @param {ServerResponse} res - The response.
+ * @returns {Function} Returns the number of bytes written so far.
+ */
+function countBytes(res){
+	let size = 0;
+	const {end, write} = res;
+	const count = (chunk, encoding) => {
+		if(chunk !== undefined && chunk !== null && typeof chunk !== 'function'){
+			size += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+		}
+	};
+	res.write = function(chunk, encoding, ...rest){
+		count(chunk, encoding);
+		return write.call(this, chunk, encoding, ...rest);
+	};
+	res.end = function(chunk, encoding, ...rest){
+		count(chunk, encoding);
+		return end.call(this, chunk, encoding, ...rest);
+	};
+	return () => size;
+}
+
+/**
+ * Create middleware, for Express or a plain node http server, that logs each request once its response is
+ * finished, with its method, path, status, duration and size.  It gives every request an ID, taken from the
+ * request header when the client sent a valid one, which is returned in the same response header, set as
+ * `req.id`, and added to the metadata of everything logged while handling the request.  When the request has a
+ * valid `traceparent` header, its `traceId` and `spanId` are added as well.
+ *
+ * @param {Object} [options] - The options.
+ * @param {string} [options.category='http'] - The file name the requests are logged under.
+ * @param {string} [options.header='X-Request-Id'] - The header carrying the request ID.
+ * @param {Function} [options.generateId=randomUUID] - Creates the ID of a request that did not send one.
+ * @returns {Function} The middleware, `(req, res, next)`.
+ * @example
+ * const {createRequestLogger} = require('log-ng/middleware');
+ * app.use(createRequestLogger());
+ * // or, without Express
+ * const requestLogger = createRequestLogger();
+ * http.createServer((req, res) => requestLogger(req, res, () => handle(req, res)));
+ */
+function createRequestLogger({category = 'http', header = 'X-Request-Id', generateId = randomUUID} = {}){
+	const logger = new Logger(category);
+
+	return (req, res, next = () => {}) => {
+		const sent = req.headers[header.toLowerCase()];
+		const requestId = typeof sent === 'string' && validRequestId.test(sent) ? sent : generateId();
+		const context = {requestId, ...parseTraceparent(req.headers.traceparent)};
+		const start = process.hrtime.bigint();
+		const size = countBytes(res);
+		req.id = requestId;
+		res.setHeader(header, requestId);
+
+		Logger.runWithContext(context, () => {
+			let logged = false;
+			const logRequest = () => {
+				if(logged){
+					return;
+				}
+				logged = true;
+				const entry = {
+					duration: Number(process.hrtime.bigint() - start) / 1e6,
+					method: req.method,
+					path: new URL(req.originalUrl ?? req.url, 'http://localhost').pathname,
+					size: size(),
+					status: res.statusCode,
+					// the response events are not emitted within the request's async context
+					...context
+				};
+				if(!res.writableFinished){
+					logger.log(availableLevel('warn', Logger.levels), `${entry.method} ${entry.path} aborted after ${entry.duration.toFixed(1)}ms`, {...entry, aborted: true});
+					return;
+				}
+				const level = entry.status >= 500 ? 'error' : entry.status >= 400 ? 'warn' : 'info';
+				logger.log(availableLevel(level, Logger.levels), `${entry.method} ${entry.path} ${entry.status} ${entry.duration.toFixed(1)}ms ${entry.size}b`, entry);
+			};
+			res.once('finish', logRequest);
+			res.once('close', logRequest);
+			next();
+		});
+	};
+}
+
+module.exports = {createRequestLogger, parseTraceparent};
@@ -1,13 +1,23 @@
 const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const sinon = require('sinon');
+const {EventEmitter} = require('events');
 const {PassThrough} = require('stream');
-const {transports} = require('winston');
+const {format, transports, Transport} = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const express = require('express');
+const conformance = require('./conformance.js');
+const http = require('http');
+const {createIngestRouter} = require('./ingest.js');
+const {createRequestLogger, parseTraceparent} = require('./middleware.js');
 const Logger = require('./logger.js');
 
 chai.should();
 const {Stream} = transports;
 
-Logger({logLevel: 'debug', logFile: 'loggerTest.log'});
+Logger.configure({level: 'debug', file: 'loggerTest.log'});
 const localLogger = new Logger(path.basename(__filename));
 
 /**
@@ -153,3 +163,738 @@ describe('Logger', function(){
 		logs.detach();
 	});
 });
+
+describe('Logger.configure', function(){
+	afterEach(function(){
+		Logger.reset();
+		Logger.configure({level: 'debug', file: 'loggerTest.log'});
+	});
+
+	it('reconfigures loggers that already exist', function(){
+		const UUT = new Logger(path.basename(__filename));
+		const logpipe = new PassThrough({objectMode: true});
+		Logger.configure({
+			console: false,
+			file: false,
+			level: 'warn',
+			transports: {tee: new Stream({format: null, stream: logpipe})}
+		});
+
+		Logger.listTransports().should.deep.equal(['tee']);
+		UUT.getLogLevel().should.equal('warn');
+		UUT.info('dropped');
+		UUT.warn('kept');
+		logpipe.read().message.should.equal('kept');
+		(logpipe.read() === null).should.be.true;
+	});
+
+	it('keeps the options that are left out', function(){
+		Logger.configure({level: 'error'});
+		Logger.listTransports().should.deep.equal(['file', 'console']);
+		Logger.configure({console: false});
+		Logger.getLogLevel().should.equal('error');
+		Logger.listTransports().should.deep.equal(['file']);
+	});
+
+	it('accepts File options and a format function', function(){
+		Logger.configure({
+			console: false,
+			file: {filename: 'loggerTest.log', maxFiles: 2},
+			format: info => `${info.level}|${info.message}`
+		});
+		Logger.transportTypes.file().filename.should.equal('loggerTest.log');
+		Logger.transportTypes.file().maxFiles.should.equal(2);
+
+		Logger.configure({file: false, console: {stderrLevels: ['info']}});
+		Logger.transportTypes.console().stderrLevels.should.have.property('info');
+		const line = Logger.transportTypes.console().format.transform({level: 'info', message: 'hi'});
+		line[Symbol.for('message')].should.equal('info|hi');
+	});
+
+	it('validates the options', function(){
+		(() => Logger.configure({colour: true})).should.throw('colour is not a valid Logger.configure option');
+		(() => Logger.configure({level: 'loud'})).should.throw('loud is not a valid logger level');
+		(() => Logger.configure({file: 42})).should.throw(/^file must be/);
+		(() => Logger.configure({format: 'json'})).should.throw(/^format must be/);
+		(() => Logger.configure({transports: {tee: {}}})).should.throw('tee is not a winston Transport');
+		(() => Logger.configure({level: 'warn', file: 42})).should.throw();
+		Logger.getLogLevel().should.equal('debug');
+	});
+
+	it('resets to the defaults', function(){
+		Logger.addTransport('test', new Stream({stream: new PassThrough()}));
+		Logger.setLogLevel('silly');
+		Logger.reset();
+
+		Logger.getLogLevel().should.equal('info');
+		Logger.listTransports().should.deep.equal(['console']);
+		Object.keys(Logger.transportTypes).should.deep.equal(['console']);
+	});
+
+	it('still supports the original configuration call', function(){
+		Logger.reset();
+		Logger({logLevel: 'warn', logFile: 'loggerTest.log'});
+		Logger.getLogLevel().should.equal('warn');
+		Logger.listTransports().should.deep.equal(['file', 'console']);
+	});
+
+	it('keeps a log level set after configuring', function(){
+		Logger.setLogLevel('silly');
+		Logger.configure({console: false});
+		Logger.getLogLevel().should.equal('silly');
+	});
+
+	it('reports the level of the winston logger until categories have levels', function(){
+		Logger.instance.level = 'warn';
+		Logger.getLogLevel().should.equal('warn');
+		Logger.level.should.equal('warn');
+		Logger.setLogLevel('debug', 'routes/*');
+		Logger.getLogLevel().should.equal('warn');
+		Logger.getLogLevel('routes/orders.js').should.equal('debug');
+		Logger.instance.level.should.equal('debug');
+		Logger.clearLogLevel();
+		Logger.getLogLevel().should.equal('warn');
+		Logger.setLogLevel('silly');
+	});
+});
+
+describe('File logging', function(){
+	beforeEach(function(){
+		this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-ng-'));
+		this.filename = path.join(this.dir, 'app.log');
+		this.UUT = new Logger(path.basename(__filename), {tenant: 'acme'});
+	});
+	afterEach(function(){
+		Logger.reset();
+		Logger.configure({level: 'debug', file: 'loggerTest.log'});
+		fs.rmSync(this.dir, {force: true, recursive: true});
+	});
+
+	it('rotates by size, keeping five files by default', function(){
+		Logger.configure({file: this.filename});
+		const file = Logger.transportTypes.file();
+		(file instanceof transports.File).should.be.true;
+		file.maxsize.should.equal(5242880);
+		file.maxFiles.should.equal(5);
+		file.tailable.should.be.true;
+		file.zippedArchive.should.be.false;
+
+		Logger.configure({file: {filename: this.filename, maxFiles: 2, maxSize: 1024}});
+		Logger.transportTypes.file().maxsize.should.equal(1024);
+		Logger.transportTypes.file().maxFiles.should.equal(2);
+	});
+
+	it('rotates daily, keeping files by count or age', function(){
+		Logger.configure({file: {filename: this.filename, daily: true, maxFiles: 7}});
+		(Logger.transportTypes.file() instanceof DailyRotateFile).should.be.true;
+		Logger.transportTypes.file().options.should.include({datePattern: 'YYYY-MM-DD', maxFiles: 7, maxSize: 5242880});
+
+		Logger.configure({file: {filename: this.filename, maxAge: 14}});
+		(Logger.transportTypes.file() instanceof DailyRotateFile).should.be.true;
+		Logger.transportTypes.file().options.maxFiles.should.equal('14d');
+	});
+
+	it('compresses the rotated files, only when rotating daily or by age', function(){
+		Logger.configure({file: {filename: this.filename, daily: true, compress: true}});
+		(Logger.transportTypes.file() instanceof DailyRotateFile).should.be.true;
+		Logger.transportTypes.file().options.zippedArchive.should.be.true;
+
+		(() => Logger.configure({file: {filename: this.filename, compress: true}})).should.throw('file compress requires daily or maxAge');
+		Logger.transportTypes.file().options.zippedArchive.should.be.true;
+	});
+
+	it('rotates once the file reaches maxSize', async function(){
+		Logger.configure({console: false, file: {filename: this.filename, maxFiles: 2, maxSize: 200}});
+		for(let i = 0; i < 6; i++){
+			this.UUT.info(`line ${i} ${'x'.repeat(100)}`);
+			await Logger.flush();
+		}
+
+		fs.readdirSync(this.dir).sort().should.deep.equal(['app.log', 'app1.log']);
+		fs.readFileSync(this.filename, 'utf8').should.include('line 5');
+	});
+
+	it('writes text lines with ISO timestamps', async function(){
+		Logger.configure({console: false, file: this.filename});
+		this.UUT.info('text line');
+		await Logger.flush();
+
+		const [line] = fs.readFileSync(this.filename, 'utf8').split('\n');
+		line.should.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z \[server\.spec\.js\] info:\s+text line$/);
+	});
+
+	it('writes JSON lines with the metadata', async function(){
+		Logger.configure({console: false, file: {filename: this.filename, json: true}});
+		this.UUT.child({requestId: 7}).warn('json line');
+		await Logger.flush();
+
+		const record = JSON.parse(fs.readFileSync(this.filename, 'utf8').split('\n')[0]);
+		record.should.include({
+			fileName: path.basename(__filename),
+			level: 'warn',
+			message: 'json line',
+			requestId: 7,
+			tenant: 'acme'
+		});
+		new Date(record.timestamp).toISOString().should.equal(record.timestamp);
+	});
+
+	it('validates the file options', function(){
+		(() => Logger.configure({file: {filename: this.filename, maxSize: '5m'}})).should.throw('5m is not a valid file maxSize');
+		(() => Logger.configure({file: {filename: this.filename, maxFiles: 0}})).should.throw('0 is not a valid file maxFiles');
+		(() => Logger.configure({file: {filename: this.filename, maxAge: 7, maxFiles: 3}})).should.throw('file maxAge and maxFiles cannot be combined');
+		(() => Logger.configure({file: {filename: this.filename, json: 'yes'}})).should.throw('file json must be a boolean');
+	});
+});
+
+describe('Ingest router', function(){
+	before(function(done){
+		const app = express();
+		app.use('/logs', createIngestRouter({limit: 2048, maxRecords: 3, maxMessageLength: 20}));
+		app.use('/parsed', express.json(), createIngestRouter());
+		this.server = app.listen(0, 'localhost', () => {
+			this.url = `http://localhost:${this.server.address().port}`;
+			done();
+		});
+	});
+	after(function(done){
+		this.server.close(done);
+	});
+	beforeEach(function(){
+		const records = this.records = [];
+		Logger.addTransport('ingest', new (class extends Transport{
+			log(info, callback){
+				records.push(info);
+				callback();
+			}
+		})());
+		this.post = (path, body, headers = {'Content-Type': 'application/json'}) => fetch(`${this.url}${path}`, {
+			body: typeof body === 'string' ? body : JSON.stringify(body),
+			headers: {Origin: 'https://app.example.com', 'User-Agent': 'spec', ...headers},
+			method: 'POST'
+		});
+	});
+	afterEach(function(){
+		Logger.removeTransport('ingest');
+		Logger.setLogLevel('debug');
+	});
+
+	it('logs a single record under the browser category', async function(){
+		const response = await this.post('/logs', {
+			level: 'warn',
+			msg: 'Cart failed',
+			category: 'cart.js',
+			timestamp: 1700000000000,
+			tenant: 'acme'
+		});
+
+		response.status.should.equal(202);
+		(await response.json()).should.deep.equal({accepted: 1, rejected: 0});
+		this.records.should.have.length(1);
+		this.records[0].should.include({
+			clientTimestamp: 1700000000000,
+			fileName: 'browser:cart.js',
+			level: 'warn',
+			message: 'Cart failed',
+			tenant: 'acme'
+		});
+		this.records[0].client.should.include({origin: 'https://app.example.com', userAgent: 'spec'});
+		this.records[0].client.should.have.property('ip');
+	});
+
+	it('logs batches sent as a JSON array or as NDJSON', async function(){
+		Logger.setLogLevel('silly');
+		await this.post('/logs', [
+			{level: 'info', msg: 'one', category: 'a.js'},
+			{level: 'trace', msg: 'two', category: 'b.js'}
+		]);
+		await this.post('/logs', '{"level":"error","msg":"three"}\n{"level":"debug","message":"four"}\n', {});
+
+		this.records.map(({fileName, level, message}) => `${fileName} ${level} ${message}`).should.deep.equal([
+			'browser:a.js info one',
+			'browser:b.js silly two',
+			'browser:unknown error three',
+			'browser:unknown debug four'
+		]);
+	});
+
+	it('accepts bodies already parsed by the application', async function(){
+		const response = await this.post('/parsed', [{level: 'info', msg: 'parsed', category: 'app.js'}]);
+		response.status.should.equal(202);
+		this.records[0].should.include({fileName: 'browser:app.js', message: 'parsed'});
+	});
+
+	it('rejects invalid records', async function(){
+		let response = await this.post('/logs', [{level: 'info', msg: 'valid'}, {level: 'loud', msg: 'x'}, {level: 'info'}]);
+		(await response.json()).should.deep.equal({accepted: 1, rejected: 2});
+
+		response = await this.post('/logs', {level: 'noop', msg: 'x'});
+		response.status.should.equal(400);
+		response = await this.post('/logs', 'not json', {'Content-Type': 'text/plain'});
+		response.status.should.equal(400);
+		this.records.should.have.length(1);
+	});
+
+	it('stamps the trace context of the request on records without their own', async function(){
+		const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+		await this.post('/logs', [
+			{level: 'info', msg: 'from header'},
+			{level: 'info', msg: 'own trace', traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331'}
+		], {'Content-Type': 'application/json', traceparent});
+
+		this.records[0].should.include({traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7'});
+		this.records[1].should.include({traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331'});
+	});
+
+	it('limits the size of requests and messages', async function(){
+		let response = await this.post('/logs', Array(4).fill({level: 'info', msg: 'x'}));
+		response.status.should.equal(413);
+		response = await this.post('/logs', {level: 'info', msg: 'x'.repeat(4096)});
+		response.status.should.equal(413);
+		this.records.should.have.length(0);
+
+		await this.post('/logs', {level: 'info', msg: {nested: 'a long message object'}});
+		this.records[0].message.should.equal('{"nested":"a long me…');
+	});
+});
+
+describe('Request logging middleware', function(){
+	before(function(done){
+		const app = express();
+		const routeLogger = new Logger('route.js');
+		app.use(createRequestLogger());
+		app.get('/orders/:id', async (req, res) => {
+			routeLogger.info('loading order');
+			await new Promise(resolve => setTimeout(resolve, 5));
+			routeLogger.info('loaded order', {requestId: 'explicit'});
+			res.json({id: req.params.id, requestId: req.id});
+		});
+		app.get('/missing', (req, res) => res.status(404).send('gone'));
+		app.get('/broken', (req, res) => res.status(500).end());
+		this.server = app.listen(0, 'localhost', () => {
+			this.url = `http://localhost:${this.server.address().port}`;
+			done();
+		});
+	});
+	after(function(done){
+		this.server.close(done);
+	});
+	beforeEach(function(){
+		const records = this.records = [];
+		Logger.addTransport('requests', new (class extends Transport{
+			log(info, callback){
+				records.push(info);
+				callback();
+			}
+		})());
+		// the access entry is logged once the response has finished, after the client may have read it
+		this.finished = async (count) => {
+			while(this.records.length < count){
+				await new Promise(setImmediate);
+			}
+		};
+	});
+	afterEach(function(){
+		Logger.removeTransport('requests');
+	});
+
+	it('logs each request with its method, path, status, duration and size', async function(){
+		const response = await fetch(`${this.url}/orders/7?token=secret`);
+		const body = await response.text();
+		await this.finished(3);
+
+		const entry = this.records[2];
+		entry.should.include({fileName: 'http', level: 'info', method: 'GET', path: '/orders/7', size: body.length, status: 200});
+		entry.duration.should.be.a('number').and.at.least(5);
+		entry.message.should.match(/^GET \/orders\/7 200 \d+\.\dms \d+b$/);
+	});
+
+	it('adds the request ID to everything logged during the request', async function(){
+		const response = await fetch(`${this.url}/orders/7`);
+		const {requestId} = await response.json();
+		await this.finished(3);
+
+		response.headers.get('X-Request-Id').should.equal(requestId);
+		requestId.should.match(/^[0-9a-f-]{36}$/);
+		this.records.map(record => record.requestId).should.deep.equal([requestId, 'explicit', requestId]);
+		Logger.getContext().should.deep.equal({});
+	});
+
+	it('keeps a valid request ID sent by the client', async function(){
+		let response = await fetch(`${this.url}/orders/7`, {headers: {'X-Request-Id': 'abc-123'}});
+		(await response.json()).requestId.should.equal('abc-123');
+		response = await fetch(`${this.url}/orders/7`, {headers: {'X-Request-Id': 'has spaces'}});
+		(await response.json()).requestId.should.not.equal('has spaces');
+	});
+
+	it('logs client and server errors as warnings and errors', async function(){
+		await (await fetch(`${this.url}/missing`)).text();
+		await (await fetch(`${this.url}/broken`)).text();
+		await this.finished(2);
+
+		this.records.map(({level, status}) => `${level} ${status}`).should.deep.equal(['warn 404', 'error 500']);
+	});
+
+	it('adds the trace context of the request', async function(){
+		await (await fetch(`${this.url}/orders/7`, {headers: {traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'}})).json();
+		await this.finished(3);
+
+		this.records.forEach((record) => {
+			record.should.include({traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7'});
+		});
+	});
+
+	it('parses traceparent headers', function(){
+		parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01').should.deep.equal({
+			traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+			spanId: '00f067aa0ba902b7'
+		});
+		parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-future').should.have.property('traceId');
+		[
+			undefined,
+			'garbage',
+			'00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra',
+			'ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+			'00-00000000000000000000000000000000-00f067aa0ba902b7-01',
+			'00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01'
+		].forEach(header => (parseTraceparent(header) === undefined).should.be.true);
+	});
+
+	it('works with a plain http server', async function(){
+		const requestLogger = createRequestLogger({category: 'plain', header: 'X-Correlation-Id'});
+		const server = http.createServer((req, res) => requestLogger(req, res, () => {
+			new Logger('handler').info('handled');
+			res.end('ok');
+		}));
+		await new Promise(resolve => server.listen(0, 'localhost', resolve));
+		try{
+			const response = await fetch(`http://localhost:${server.address().port}/plain`, {headers: {'X-Correlation-Id': 'corr-1'}});
+			await response.text();
+			await this.finished(2);
+		}finally{
+			await new Promise(resolve => server.close(resolve));
+		}
+
+		this.records.map(({fileName, requestId}) => `${fileName} ${requestId}`).should.deep.equal(['handler corr-1', 'plain corr-1']);
+		this.records[1].size.should.equal(2);
+	});
+});
+
+describe('Rate limiting', function(){
+	/**
+	 * Creates a transport that pushes the message of each entry it writes onto an array.
+	 * @param {Array} messages - The array to push onto.
+	 * @param {Object} [options] - The transport options.
+	 * @returns {Transport}
+	 */
+	function capture(messages, options){
+		return new (class extends Transport{
+			log(info, callback){
+				messages.push(info.message);
+				callback();
+			}
+		})(options);
+	}
+
+	beforeEach(function(){
+		this.messages = [];
+		Logger.addTransport('capture', capture(this.messages));
+	});
+	afterEach(function(){
+		Logger.removeTransport('capture');
+		Logger.clearRateLimit();
+		sinon.restore();
+	});
+
+	it('limits the entries written by a transport', function(){
+		const before = Logger.dropped.transports.slow ?? 0;
+		const slow = [];
+		Logger.setTransportRateLimit('slow', {rate: 1});
+		Logger.addTransport('slow', capture(slow, {format: format.simple()}));
+		['a', 'b', 'c'].forEach(msg => localLogger.info(msg));
+		Logger.setTransportRateLimit('slow');
+		localLogger.info('d');
+		Logger.removeTransport('slow');
+
+		this.messages.should.deep.equal(['a', 'b', 'c', 'd']);
+		slow.should.deep.equal(['a', 'd']);
+		(Logger.dropped.transports.slow - before).should.equal(2);
+	});
+
+	it('summarizes duplicates once the window has passed', function(){
+		const clock = sinon.useFakeTimers({toFake: ['setTimeout', 'clearTimeout', 'Date']});
+		Logger.setRateLimit({duplicates: 5000});
+		const UUT = new Logger('render.js');
+		['tick', 'tick', 'tick'].forEach(msg => UUT.info(msg));
+		clock.tick(5000);
+		UUT.info('tick');
+
+		this.messages.should.deep.equal(['tick', 'Last message repeated 2 times in 5s', 'tick']);
+	});
+
+	it('applies the most specific category pattern', function(){
+		Logger.setRateLimit({rate: 1});
+		Logger.setRateLimit({rate: 100}, 'routes/*');
+		['a', 'b'].forEach(msg => localLogger.info(msg));
+		['c', 'd'].forEach(msg => new Logger('routes/orders.js').info(msg));
+
+		this.messages.should.deep.equal(['a', 'c', 'd']);
+	});
+
+	it('does not count entries below the log level', function(){
+		Logger.setRateLimit({rate: 1});
+		localLogger.silly('filtered');
+		localLogger.info('logged');
+
+		this.messages.should.deep.equal(['logged']);
+	});
+
+	it('is cleared by reset', function(){
+		Logger.setRateLimit({rate: 1});
+		Logger.setTransportRateLimit('capture', {rate: 1});
+		Logger.reset();
+		Logger.configure({level: 'debug', file: 'loggerTest.log'});
+		Logger.addTransport('capture', capture(this.messages));
+		['a', 'b'].forEach(msg => localLogger.info(msg));
+
+		this.messages.should.deep.equal(['a', 'b']);
+	});
+});
+
+describe('Remote configuration', function(){
+	const respond = body => Promise.resolve(new Response(JSON.stringify(body)));
+
+	beforeEach(function(){
+		this.messages = [];
+		const messages = this.messages;
+		this.audit = new (class extends Transport{
+			log(info, callback){
+				messages.push(`${info.level} ${info.message}`);
+				callback();
+			}
+		})();
+		this.fetchStub = sinon.stub(global, 'fetch');
+	});
+	afterEach(function(){
+		this.remote?.stop();
+		Logger.removeTransport('audit');
+		Logger.clearLogLevel();
+		Logger.setLogLevel('debug');
+		sinon.restore();
+	});
+
+	it('applies the levels and transports of the document', async function(){
+		this.fetchStub.onCall(0).returns(respond({level: 'warn', categories: {'routes/*': 'debug'}, transports: {audit: {level: 'error'}}}));
+		this.fetchStub.onCall(1).returns(respond({transports: {audit: false}}));
+		this.remote = Logger.useRemoteConfig({url: 'https://config.example.com/logging.json', transports: {audit: this.audit}, headers: {authorization: 'Bearer abc'}});
+		await this.remote.refresh();
+		Logger.getLogLevel().should.equal('warn');
+		Logger.getLogLevel('routes/orders.js').should.equal('debug');
+		Logger.listTransports().should.include('audit');
+		localLogger.error('Payment failed');
+		localLogger.warn('Retrying');
+		this.fetchStub.firstCall.args.should.deep.equal(['https://config.example.com/logging.json', {headers: {authorization: 'Bearer abc'}}]);
+
+		await this.remote.refresh();
+		Logger.getLogLevel().should.equal('debug');
+		Logger.getLogLevel('routes/orders.js').should.equal('debug');
+		Logger.listTransports().should.not.include('audit');
+		this.messages.should.deep.equal(['error Payment failed']);
+	});
+
+	it('keeps the last good configuration', async function(){
+		const log = sinon.spy(Logger.instance, 'log');
+		this.fetchStub.onCall(0).returns(respond({level: 'info'}));
+		this.fetchStub.onCall(1).returns(respond({level: 'loud'}));
+		this.fetchStub.onCall(2).returns(Promise.resolve(new Response('{', {status: 200})));
+		this.remote = Logger.useRemoteConfig({url: 'https://config.example.com/logging.json'});
+		(await this.remote.refresh()).should.deep.equal({level: 'info'});
+		(await this.remote.refresh()).should.deep.equal({level: 'info'});
+		(await this.remote.refresh()).should.deep.equal({level: 'info'});
+
+		Logger.getLogLevel().should.equal('info');
+		log.firstCall.args.slice(0, 2).should.deep.equal(['warn', 'The remote log configuration was not applied: loud is not a valid logger level']);
+		log.calledTwice.should.be.true;
+	});
+
+	it('keeps the level of a transport enabled without one, and rejects browser options', async function(){
+		const log = sinon.spy(Logger.instance, 'log');
+		this.audit.level = 'error';
+		this.fetchStub.onCall(0).returns(respond({transports: {audit: {}}}));
+		this.fetchStub.onCall(1).returns(respond({transports: {audit: {include: ['routes/*']}}}));
+		this.remote = Logger.useRemoteConfig({url: 'https://config.example.com/logging.json', transports: {audit: this.audit}});
+		await this.remote.refresh();
+		await this.remote.refresh();
+
+		this.audit.level.should.equal('error');
+		Logger.listTransports().should.include('audit');
+		log.firstCall.args.slice(0, 2).should.deep.equal(['warn', 'The remote log configuration was not applied: {"include":["routes/*"]} is not a valid transport setting']);
+	});
+});
+
+describe('Timing', function(){
+	beforeEach(function(){
+		this.entries = [];
+		const entries = this.entries;
+		Logger.addTransport('capture', new (class extends Transport{
+			log(info, callback){
+				entries.push(info);
+				callback();
+			}
+		})());
+	});
+	afterEach(function(){
+		Logger.removeTransport('capture');
+	});
+
+	it('logs durations and counts as metadata', async function(){
+		localLogger.time('query');
+		const durationMs = localLogger.timeEnd('query');
+		localLogger.count('retry');
+		await localLogger.measure('request', new Promise(res => setTimeout(res, 5)));
+
+		this.entries[0].durationMs.should.equal(durationMs);
+		this.entries[1].count.should.equal(1);
+		this.entries[2].durationMs.should.be.at.least(4);
+		this.entries.map(entry => entry.fileName).should.deep.equal(['server.spec.js', 'server.spec.js', 'server.spec.js']);
+	});
+
+	it('logs failures and missing timers', async function(){
+		const error = await localLogger.measure('request', () => Promise.reject(new Error('offline'))).catch(e => e);
+		error.message.should.equal('offline');
+		localLogger.timeEnd('missing');
+
+		this.entries[0].should.include({failed: true, level: 'error'});
+		this.entries[1].should.include({level: 'warn', message: 'Timer \'missing\' does not exist'});
+	});
+});
+
+describe('Custom levels', function(){
+	afterEach(function(){
+		Logger.setLevels();
+		Logger.setLogLevel('debug');
+	});
+
+	it('applies the levels to the winston logger', function(){
+		Logger.setLevels({fatal: 0, error: 1, warn: 2, notice: 3, info: 4});
+		Logger.instance.levels.should.deep.equal({fatal: 0, error: 1, warn: 2, notice: 3, info: 4});
+		Logger.getLogLevel().should.equal('info');
+		localLogger.isNoticeEnabled().should.be.true;
+		Logger.configure({level: 'warn'});
+		localLogger.isNoticeEnabled().should.be.false;
+		localLogger.should.not.have.property('debug');
+		(() => Logger.setLevels({child: 0})).should.throw('child is not a valid level');
+	});
+
+	it('restores the npm levels on reset', function(){
+		Logger.setLevels({fatal: 0, error: 1});
+		Logger.reset();
+		Logger.configure({level: 'debug', file: 'loggerTest.log'});
+		Logger.levels.should.deep.equal(['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']);
+		localLogger.should.not.have.property('fatal');
+	});
+
+	it('keeps custom transports piped and drops transport levels that are gone', function(){
+		const logpipe = new PassThrough({objectMode: true});
+		const tee = new Stream({format: null, level: 'verbose', stream: logpipe});
+		Logger.addTransport('tee', tee);
+		Logger.setLevels({fatal: 0, error: 1, warn: 2, notice: 3, info: 4});
+		(tee.level === undefined).should.be.true;
+		tee.levels.should.equal(Logger.instance.levels);
+		localLogger.notice('kept');
+		logpipe.read().should.include({level: 'notice', message: 'kept'});
+		Logger.removeTransport('tee');
+	});
+
+	it('logs its own warnings at the most severe level once warn is gone', async function(){
+		const entries = [];
+		Logger.addTransport('capture', new (class extends Transport{
+			log(info, callback){
+				entries.push(`${info.level} ${info.message}`);
+				callback();
+			}
+		})());
+		Logger.setLevels({fatal: 0, error: 1, info: 2});
+		const fetchStub = sinon.stub(global, 'fetch').rejects(new Error('offline'));
+		const remote = Logger.useRemoteConfig({url: 'https://config.example.com/logging.json'});
+		try{
+			await remote.refresh();
+			localLogger.timeEnd('missing');
+			const res = Object.assign(new EventEmitter(), {statusCode: 200, writableFinished: false, setHeader: () => {}, write: () => true, end: () => {}});
+			createRequestLogger()({headers: {}, method: 'GET', url: '/orders'}, res);
+			res.emit('close');
+		}finally{
+			remote.stop();
+			fetchStub.restore();
+			Logger.removeTransport('capture');
+		}
+
+		entries.slice(0, 2).should.deep.equal(['fatal The remote log configuration was not applied: offline', 'fatal Timer \'missing\' does not exist']);
+		entries[2].should.match(/^fatal GET \/orders aborted after/);
+	});
+});
+
+describe('Redaction', function(){
+	beforeEach(function(){
+		this.entries = [];
+		const entries = this.entries;
+		Logger.addTransport('capture', new (class extends Transport{
+			log(info, callback){
+				entries.push(info);
+				callback();
+			}
+		})({format: format.json()}));
+	});
+	afterEach(function(){
+		Logger.removeTransport('capture');
+		Logger.clearRedaction();
+	});
+
+	it('redacts paths relative to the entry and the async context', function(){
+		Logger.setRedaction({keys: ['authorization'], paths: ['user.email', 'items.*.card']});
+		Logger.runWithContext({authorization: 'Bearer abc'}, () => {
+			localLogger.info('Order placed', {user: {email: 'alice@example.com', id: 7}, items: [{card: '4111'}]});
+		});
+
+		this.entries[0].should.deep.include({
+			authorization: '[REDACTED]',
+			items: [{card: '[REDACTED]'}],
+			level: 'info',
+			user: {email: '[REDACTED]', id: 7}
+		});
+	});
+
+	it('removes values and writes the redacted message', function(){
+		Logger.setRedaction({keys: ['password'], patterns: ['email'], strategy: 'remove'});
+		localLogger.info('Reset for alice@example.com', {password: 'hunter2'});
+
+		this.entries[0].should.not.have.property('password');
+		this.entries[0].message.should.equal('Reset for ');
+		JSON.parse(this.entries[0][Symbol.for('message')]).should.not.have.property('password');
+	});
+
+	it('hashes values with the salt', function(){
+		Logger.setRedaction({keys: [{match: 'userId', strategy: 'hash'}], patterns: [{match: 'email', strategy: 'hash'}], salt: 's3'});
+		localLogger.info('Signed in alice@example.com', {user_id: 42});
+
+		this.entries[0].message.should.equal('Signed in [hash:df67e0bac3427000]');
+		this.entries[0].user_id.should.equal('[hash:28071fde35f920ef]');
+	});
+
+	it('is cleared by reset', function(){
+		Logger.setRedaction();
+		Logger.reset();
+		Logger.configure({level: 'debug', file: 'loggerTest.log'});
+		Logger.redact({password: 'p'}).should.deep.equal({password: 'p'});
+	});
+});
+
+conformance('Node', Logger, {
+	createTransport: records => new (class extends Transport{
+		log(info, callback){
+			const {level, message, fileName, ...meta} = info;
+			records.push({level, msg: message, category: fileName, meta});
+			callback();
+		}
+	})()
+});
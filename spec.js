@@ -1,6 +1,7 @@
 const assert = require('chai').assert;
 const sinon = require('sinon');
-import Logger, {ConsoleTransport, APITransport, interpolate} from './blogger.js';
+const conformance = require('./conformance.js');
+import Logger, {ConsoleTransport, APITransport, MemoryTransport, PatternLayout, JSONLayout, LogfmtLayout, formatMessage, interpolate, tracedFetch} from './blogger.js';
 
 describe('Browser Logger', function(){
 	before(function(){
@@ -101,6 +102,46 @@ describe('Browser Logger', function(){
 		assert.isFalse(transportSpy.called, 'Info log not filtered');
 		Logger.removeTransport('testTransport');
 	});
+	it('can override the log level per category', async function(){
+		const received = [];
+		Logger.addTransport('testTransport', {
+			log: (params) => received.push(`${params.category}:${params.level}`)
+		});
+		Logger.setLogLevel('warn');
+		Logger.setLogLevel('debug', 'checkout/*');
+		Logger.setLogLevel({'checkout/payment.js': 'error'});
+
+		await new Promise((res) => {
+			new Logger('checkout/cart.js').debug('cart');
+			new Logger('checkout/payment.js').warn('payment');
+			new Logger('checkout/payment.js').error('payment');
+			new Logger('spec.js').info('spec');
+			setTimeout(res, 1);
+		});
+		assert.deepEqual(received, ['checkout/cart.js:debug', 'checkout/payment.js:error']);
+		assert.equal(Logger.getLogLevel('checkout/cart.js'), 'debug');
+		assert.equal(Logger.getLogLevel('checkout/payment.js'), 'error');
+		assert.equal(Logger.getLogLevel('spec.js'), 'warn');
+
+		Logger.clearLogLevel();
+		Logger.setLogLevel('debug');
+		Logger.removeTransport('testTransport');
+	});
+	it('should resolve the most specific category rule', function(){
+		Logger.setLogLevel('info');
+		Logger.setLogLevel('warn', 'checkout');
+		Logger.setLogLevel('trace', 'checkout/pay*');
+		assert.equal(Logger.getLogLevel('checkout/cart.js'), 'warn');
+		assert.equal(Logger.getLogLevel('checkout/payment.js'), 'trace');
+		assert.equal(Logger.getLogLevel('checkoutHelper.js'), 'info');
+
+		Logger.clearLogLevel('checkout/pay*');
+		assert.equal(Logger.getLogLevel('checkout/payment.js'), 'warn');
+		assert.throws(() => Logger.setLogLevel('verbose', 'checkout'), 'verbose is not a valid logger level');
+
+		Logger.clearLogLevel();
+		Logger.setLogLevel('debug');
+	});
 	it.skip('should be able to test the logging output', function(){
 	});
 	it.skip('should show metadata when present', function(){
@@ -199,6 +240,56 @@ describe('Interpolator', function(){
 		assert.deepEqual(interpolate('This is a test: {{test}}', {}), 'This is a test: ');
 		assert.deepEqual(interpolate({body: '{{payload}}'}, {}), {});
 	});
+	it('should keep falsy values', function(){
+		assert.equal(interpolate('{{count}} {{enabled}}', {count: 0, enabled: false}), '0 false');
+		assert.deepEqual(interpolate({count: '{{count}}', enabled: '{{enabled}}'}, {count: 0, enabled: false}), {count: 0, enabled: false});
+	});
+	it('should allow escaping of {{ and }}', function(){
+		assert.equal(interpolate('\\{{msg\\}} is {{msg}}', {msg: 'pass'}), '{{msg}} is pass');
+		assert.equal(interpolate('\\{{msg}}', {msg: 'pass'}), '{{msg}}');
+	});
+	it('should resolve nested paths', function(){
+		const model = {meta: {user: {id: 42}}, args: ['first', {second: 2}]};
+		assert.equal(interpolate('{{meta.user.id}}', model), '42');
+		assert.equal(interpolate('{{args.0}} {{args.1.second}}', model), 'first 2');
+		assert.equal(interpolate('{{meta.missing.id}}', model), '');
+		assert.deepEqual(interpolate({user: '{{meta.user}}'}, model), {user: {id: 42}});
+	});
+	it('should apply defaults and filters', function(){
+		const timestamp = Date.UTC(2024, 0, 5, 15, 51, 9);
+		const model = {level: 'warn', msg: 'abcdefghij', timestamp, args: ['a', 1]};
+		assert.equal(interpolate('{{level|default:"info"}}', {}), 'info');
+		assert.equal(interpolate("{{level|default:'info'}}", model), 'warn');
+		assert.equal(interpolate('{{level|upper}} {{level|default:"INFO"|lower}}', model), 'WARN warn');
+		assert.equal(interpolate('{{timestamp|iso}}', model), '2024-01-05T15:51:09.000Z');
+		assert.equal(interpolate('{{timestamp|iso|epoch}}', model), `${timestamp}`);
+		assert.equal(interpolate('{{msg|truncate:3}}', model), 'abc');
+		assert.equal(interpolate('{{msg|json}}', model), '"abcdefghij"');
+		assert.deepEqual(interpolate({args: '{{args|json}}', missing: '{{missing|upper}}'}, model), {args: ['a', 1]});
+		assert.throws(() => interpolate('{{msg|bogus}}', model), 'bogus is not a valid interpolation filter');
+		assert.throws(() => interpolate('{{msg|toString}}', model), 'toString is not a valid interpolation filter');
+		assert.throws(() => new APITransport({url: '/logs', body: {msg: '{{msg|bogus}}'}}), 'bogus is not a valid interpolation filter');
+	});
+	it('should only look up the model\'s own properties', function(){
+		const model = {msg: 'abc', meta: {user: {id: 7}}};
+		assert.equal(interpolate('{{meta.user.id}}|{{constructor}}|{{meta.constructor.name}}|{{msg.length}}', model), '7|||3');
+	});
+});
+
+describe('Message formatting', function(){
+	it('should substitute console placeholders', function(){
+		assert.equal(formatMessage('This is %s #%d', ['test', 10.7]), 'This is test #10');
+		assert.equal(formatMessage('%i%% of %f', ['42', '1.5']), '42% of 1.5');
+		assert.equal(formatMessage('Object: %o %O', [{a: 1}, [1, 2]]), 'Object: {"a":1} [1,2]');
+	});
+	it('should strip CSS arguments', function(){
+		assert.equal(formatMessage('%cstyled%c plain', ['color: red;', '']), 'styled plain');
+	});
+	it('should append leftover arguments and keep unmatched placeholders', function(){
+		assert.equal(formatMessage('Total: %d', [3, 'in cart', {id: 7}]), 'Total: 3 in cart {"id":7}');
+		assert.equal(formatMessage('Missing %s'), 'Missing %s');
+		assert.equal(formatMessage({a: 1}, [2]), '{"a":1} 2');
+	});
 });
 
 describe('API logging', function(){
@@ -281,4 +372,1126 @@ describe('API logging', function(){
 		// console.log('actual\n', JSON.stringify(this.fetchStub.getCall(0), null, 2));
 		assert.isTrue(this.fetchStub.calledWith(url, interpolate(expected, {msg})));
 	});
+	it('should substitute console placeholders in the message', async function(){
+		this.fetchStub.resetHistory();
+		await new Promise((res) => {
+			this.UUT.info('%cThis is %s #%d', {args: ['color: red;', 'test', 10, 'extra']});
+			setTimeout(res, 1);
+		});
+		assert.equal(this.fetchStub.getCall(0).args[1].body, 'This is test #10 extra');
+	});
+	it('should send the group path and table rows', async function(){
+		const UUT = new APITransport({...fetchConfig, body: {msg: '{{msg}}', groupPath: '{{groupPath}}', table: '{{table}}'}});
+		this.fetchStub.resetHistory();
+		await UUT.log({msg: 'Checkout', level: 'info', group: 'group'});
+		await UUT.log({msg: [{name: 'Alice', age: 30}, {name: 'Bob'}], level: 'info', isTable: true});
+		await UUT.log({msg: 'Checkout', level: 'info', group: 'groupEnd'});
+		await UUT.log({msg: 'Done', level: 'info'});
+
+		const bodies = this.fetchStub.getCalls().map(call => call.args[1].body);
+		assert.deepEqual(bodies[0], {msg: 'Checkout', groupPath: ['Checkout']});
+		assert.deepEqual(bodies[1].groupPath, ['Checkout']);
+		assert.deepEqual(bodies[1].table, {
+			columns: ['(index)', 'name', 'age'],
+			rows: [[0, 'Alice', 30], [1, 'Bob', null]]
+		});
+		assert.deepEqual(bodies[2].groupPath, ['Checkout']);
+		assert.deepEqual(bodies[3], {msg: 'Done', groupPath: []});
+	});
+});
+
+describe('API batching', function(){
+	const fetchConfig = {
+		url: 'https://api.example.com/logs',
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: {
+			msg: '{{msg}}',
+			level: '{{level}}'
+		}
+	};
+	beforeEach(function(){
+		this.fetchStub = sinon.stub(window, 'fetch');
+		this.fetchStub.resolves(new Response(JSON.stringify({success: true})));
+	});
+	afterEach(function(){
+		sinon.restore();
+	});
+	it('should send buffered records as one array once maxCount is reached', async function(){
+		const UUT = new APITransport({...fetchConfig, batch: {maxCount: 3}});
+		await UUT.log({msg: 'first', level: 'info'});
+		await UUT.log({msg: 'second', level: 'warn'});
+		assert.isFalse(this.fetchStub.called, 'Records should be buffered');
+
+		await UUT.log({msg: 'third', level: 'error'});
+		assert.isTrue(this.fetchStub.calledOnce);
+		const [url, options] = this.fetchStub.getCall(0).args;
+		assert.equal(url, fetchConfig.url);
+		assert.deepEqual(JSON.parse(options.body), [
+			{msg: 'first', level: 'info'},
+			{msg: 'second', level: 'warn'},
+			{msg: 'third', level: 'error'}
+		]);
+	});
+	it('should remove its page listeners when removed, and add them back when it logs again', async function(){
+		const addSpy = sinon.spy(window, 'addEventListener');
+		const removeSpy = sinon.spy(window, 'removeEventListener');
+		const UUT = new APITransport({...fetchConfig, batch: true});
+		Logger.addTransport('batched', UUT);
+		await UUT.log({msg: 'buffered', level: 'info'});
+		Logger.removeTransport('batched');
+		await new Promise((res) => setTimeout(res, 1));
+		assert.isTrue(this.fetchStub.calledOnce, 'Buffered records should be sent when the transport is closed');
+		const [, pagehide] = addSpy.getCalls().find(call => call.args[0] === 'pagehide').args;
+		sinon.assert.calledWith(removeSpy, 'pagehide', pagehide);
+
+		await UUT.log({msg: 'again', level: 'info'});
+		assert.equal(addSpy.getCalls().filter(call => call.args[0] === 'pagehide').length, 2);
+		await UUT.close();
+	});
+	it('should send NDJSON bodies on flush', async function(){
+		const UUT = new APITransport({...fetchConfig, batch: {format: 'ndjson'}});
+		await UUT.log({msg: 'first', level: 'info'});
+		await UUT.log({msg: 'second', level: 'warn'});
+		await UUT.flush();
+		assert.isTrue(this.fetchStub.calledOnce);
+		assert.equal(this.fetchStub.getCall(0).args[1].body, '{"msg":"first","level":"info"}\n{"msg":"second","level":"warn"}');
+	});
+	it('should send once maxDelay or maxBytes is reached', async function(){
+		const UUT = new APITransport({...fetchConfig, batch: {maxDelay: 5, maxBytes: 100}});
+		await UUT.log({msg: 'delayed', level: 'info'});
+		assert.isFalse(this.fetchStub.called);
+		await new Promise((res) => setTimeout(res, 20));
+		assert.isTrue(this.fetchStub.calledOnce);
+
+		await UUT.log({msg: 'x'.repeat(60), level: 'info'});
+		await UUT.log({msg: 'y'.repeat(60), level: 'info'});
+		assert.isTrue(this.fetchStub.calledTwice, 'Batch should be sent before exceeding maxBytes');
+		assert.lengthOf(JSON.parse(this.fetchStub.getCall(1).args[1].body), 1);
+		await UUT.flush();
+	});
+	it('should flush with sendBeacon when the page is hidden', async function(){
+		const beaconStub = sinon.stub(navigator, 'sendBeacon').returns(true);
+		const UUT = new APITransport({...fetchConfig, batch: true});
+		await UUT.log({msg: 'unloading', level: 'info'});
+		window.dispatchEvent(new Event('pagehide'));
+
+		assert.isTrue(beaconStub.calledOnce);
+		const [url, blob] = beaconStub.getCall(0).args;
+		assert.equal(url, fetchConfig.url);
+		assert.equal(blob.type, 'application/json');
+		assert.deepEqual(JSON.parse(await blob.text()), [{msg: 'unloading', level: 'info'}]);
+		assert.isFalse(this.fetchStub.called);
+	});
+	it('should fall back to a keepalive fetch when sendBeacon is refused', async function(){
+		sinon.stub(navigator, 'sendBeacon').returns(false);
+		const UUT = new APITransport({...fetchConfig, batch: true});
+		await UUT.log({msg: 'unloading', level: 'info'});
+		window.dispatchEvent(new Event('pagehide'));
+
+		assert.isTrue(this.fetchStub.calledOnce);
+		assert.isTrue(this.fetchStub.getCall(0).args[1].keepalive);
+	});
+});
+
+describe('API retries', function(){
+	const fetchConfig = {
+		url: 'https://api.example.com/logs',
+		method: 'POST',
+		body: '{{msg}}'
+	};
+	let dbCount = 0;
+	beforeEach(function(){
+		this.retryConfig = {dbName: `log-ng-spec-${Date.now()}-${dbCount++}`, baseDelay: 5};
+		this.fetchStub = sinon.stub(window, 'fetch');
+		sinon.stub(console, 'error');
+		sinon.stub(console, 'debug');
+	});
+	afterEach(function(){
+		sinon.restore();
+	});
+	it('should persist a failed request and resend it', async function(){
+		this.fetchStub.rejects(new TypeError('Failed to fetch'));
+		const UUT = new APITransport({...fetchConfig, retry: {...this.retryConfig, baseDelay: 60000}});
+		await UUT.log({msg: 'lost'});
+		assert.equal(await UUT.pending(), 1);
+
+		this.fetchStub.resolves(new Response('', {status: 200}));
+		await UUT.retry();
+		assert.equal(await UUT.pending(), 0);
+		assert.isTrue(this.fetchStub.calledTwice);
+		assert.deepEqual(this.fetchStub.getCall(1).args, [fetchConfig.url, {method: 'POST', headers: {}, body: 'lost'}]);
+	});
+	it('should not persist credentials, and resend those of the template', async function(){
+		this.fetchStub.rejects(new TypeError('Failed to fetch'));
+		const headers = {'Authorization': 'Bearer secret', 'X-Api-Key': '{{apiKey}}', 'Content-Type': 'text/plain'};
+		const UUT = new APITransport({...fetchConfig, headers, retry: {...this.retryConfig, baseDelay: 60000}});
+		const other = new APITransport({...fetchConfig, url: 'https://other.example.com/logs', retry: {...this.retryConfig, baseDelay: 60000}});
+		await UUT.log({msg: 'lost', apiKey: 'abc123'});
+		assert.equal(await UUT.pending(), 1);
+		assert.equal(await other.pending(), 0, 'Transports sharing a database should keep to their own requests');
+
+		this.fetchStub.resolves(new Response('', {status: 200}));
+		await UUT.retry();
+		assert.deepEqual(this.fetchStub.getCall(1).args[1].headers, {'Authorization': 'Bearer secret', 'Content-Type': 'text/plain'});
+	});
+	it('should queue while offline and drain when back online', async function(){
+		let onLine = false;
+		sinon.stub(navigator, 'onLine').get(() => onLine);
+		this.fetchStub.resolves(new Response('', {status: 200}));
+		const UUT = new APITransport({...fetchConfig, retry: {...this.retryConfig, maxSize: 2}});
+		await UUT.log({msg: 'first'});
+		await UUT.log({msg: 'second'});
+		await UUT.log({msg: 'third'});
+		assert.isFalse(this.fetchStub.called);
+		assert.equal(await UUT.pending(), 2, 'The oldest request should be evicted');
+
+		onLine = true;
+		window.dispatchEvent(new Event('online'));
+		await new Promise((res) => setTimeout(res, 20));
+		assert.equal(await UUT.pending(), 0);
+		assert.deepEqual(this.fetchStub.getCalls().map(call => call.args[1].body), ['second', 'third']);
+	});
+	it('should honor Retry-After on 429 and 503', async function(){
+		this.fetchStub.onCall(0).resolves(new Response('', {status: 429, headers: {'Retry-After': '0'}}));
+		this.fetchStub.onCall(1).resolves(new Response('', {status: 503, headers: {'Retry-After': new Date().toUTCString()}}));
+		this.fetchStub.resolves(new Response('', {status: 200}));
+		const UUT = new APITransport({...fetchConfig, retry: {...this.retryConfig, baseDelay: 60000}});
+		await UUT.log({msg: 'throttled'});
+		await new Promise((res) => setTimeout(res, 50));
+		assert.equal(this.fetchStub.callCount, 3);
+		assert.equal(await UUT.pending(), 0);
+	});
+	it('should back off and give up after maxAttempts', async function(){
+		this.fetchStub.resolves(new Response('', {status: 500}));
+		const UUT = new APITransport({...fetchConfig, retry: {...this.retryConfig, maxAttempts: 3}});
+		await UUT.log({msg: 'failing'});
+		await new Promise((res) => setTimeout(res, 100));
+		assert.equal(this.fetchStub.callCount, 3);
+		assert.equal(await UUT.pending(), 0);
+	});
+});
+
+describe('Memory logging', function(){
+	before(function(){
+		Logger.setLogLevel('warn');
+	});
+	after(function(){
+		Logger.setLogLevel('debug');
+	});
+	afterEach(function(){
+		Logger.removeTransport('memory');
+		sinon.restore();
+	});
+	it('should keep the last maxRecords records', function(){
+		const UUT = new MemoryTransport({maxRecords: 3});
+		['one', 'two', 'three', 'four', 'five'].forEach(msg => UUT.log({msg, level: 'info', category: 'spec.js'}));
+		assert.deepEqual(UUT.getRecords().map(record => record.msg), ['three', 'four', 'five']);
+		assert.isString(UUT.getRecords()[0].timestamp);
+	});
+	it('should discard records older than maxAge', async function(){
+		const UUT = new MemoryTransport({maxAge: 10});
+		UUT.log({msg: 'old', level: 'info'});
+		await new Promise((res) => setTimeout(res, 20));
+		UUT.log({msg: 'new', level: 'info'});
+		assert.deepEqual(UUT.getRecords().map(record => record.msg), ['new']);
+	});
+	it('should capture records below the logger level', async function(){
+		const UUT = new MemoryTransport({level: 'debug'});
+		const otherSpy = sinon.spy();
+		Logger.addTransport('memory', UUT);
+		Logger.addTransport('testTransport', {log: otherSpy});
+		const logger = new Logger('spec.js');
+		await new Promise((res) => {
+			logger.debug('captured');
+			logger.trace('dropped');
+			logger.warn('sent');
+			setTimeout(res, 1);
+		});
+		Logger.removeTransport('testTransport');
+		assert.deepEqual(UUT.getRecords().map(record => record.msg), ['captured', 'sent']);
+		assert.isTrue(otherSpy.calledOnce, 'Other transports should still honor the logger level');
+		assert.throws(() => new MemoryTransport({level: 'verbose'}), 'verbose is not a valid logger level');
+	});
+	it('should filter records', function(){
+		const UUT = new MemoryTransport();
+		UUT.log({msg: 'cart', level: 'debug', category: 'checkout/cart.js'});
+		UUT.log({msg: 'payment', level: 'error', category: 'checkout/payment.js'});
+		UUT.log({msg: 'spec', level: 'error', category: 'spec.js'});
+		assert.deepEqual(UUT.getRecords({level: 'warn', category: 'checkout/*'}).map(record => record.msg), ['payment']);
+		assert.deepEqual(UUT.getRecords(record => record.msg.startsWith('c')).map(record => record.msg), ['cart']);
+		assert.lengthOf(UUT.getRecords({since: Date.now() + 1000}), 0);
+	});
+	it('should render the records as text and JSON', function(){
+		const UUT = new MemoryTransport();
+		UUT.log({msg: 'Total: %d', args: [3], level: 'info', category: 'spec.js', timestamp: 'now'});
+		UUT.log({msg: 'Done', level: 'warn', category: 'spec.js', timestamp: 'now'});
+		assert.equal(UUT.toText(), 'now [spec.js] info: Total: 3\nnow [spec.js] warn: Done\n');
+		assert.deepEqual(JSON.parse(JSON.stringify(UUT)), [
+			{msg: 'Total: %d', args: [3], level: 'info', category: 'spec.js', timestamp: 'now'},
+			{msg: 'Done', level: 'warn', category: 'spec.js', timestamp: 'now'}
+		]);
+		assert.deepEqual(UUT.toJSON({level: 'warn'}).map(record => record.msg), ['Done']);
+	});
+	it('should download the records', async function(){
+		const UUT = new MemoryTransport();
+		UUT.log({msg: 'Report', level: 'info', category: 'spec.js', timestamp: 'now'});
+		const anchor = {click: sinon.spy()};
+		sinon.stub(document, 'createElement').withArgs('a').returns(anchor);
+		const createStub = sinon.stub(URL, 'createObjectURL').returns('blob:report');
+		sinon.stub(URL, 'revokeObjectURL');
+
+		UUT.download('report.log');
+		assert.equal(anchor.href, 'blob:report');
+		assert.equal(anchor.download, 'report.log');
+		assert.isTrue(anchor.click.calledOnce);
+		assert.equal(await createStub.getCall(0).args[0].text(), 'now [spec.js] info: Report\n');
+
+		UUT.download('report.json');
+		assert.equal(createStub.getCall(1).args[0].type, 'application/json');
+	});
+});
+
+describe('Global error capture', function(){
+	before(function(){
+		Logger.removeTransport('default');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+	});
+	beforeEach(function(){
+		this.records = [];
+		Logger.addTransport('testTransport', {
+			log: params => this.records.push(params)
+		});
+		Logger.setLogLevel('debug');
+	});
+	afterEach(function(){
+		this.release?.();
+		Logger.removeTransport('testTransport');
+		sinon.restore();
+	});
+	it('should capture uncaught errors, rejections and CSP violations', async function(){
+		this.release = Logger.captureGlobalErrors({category: 'uncaught'});
+		const error = new Error('boom');
+		const reason = new Error('rejected');
+		const onerror = window.onerror;
+		window.onerror = null;
+		try{
+			window.dispatchEvent(Object.assign(new Event('error'), {message: 'Uncaught Error: boom', error, filename: 'app.js', lineno: 1, colno: 2}));
+		}finally{
+			window.onerror = onerror;
+		}
+		window.dispatchEvent(Object.assign(new Event('unhandledrejection'), {reason}));
+		window.dispatchEvent(Object.assign(new Event('securitypolicyviolation'), {violatedDirective: 'script-src', blockedURI: 'https://evil.example.com'}));
+		await new Promise((res) => setTimeout(res, 1));
+
+		assert.deepEqual(this.records.map(({msg, level, category, source}) => ({msg, level, category, source})), [
+			{msg: 'Uncaught Error: boom', level: 'error', category: 'uncaught', source: 'error'},
+			{msg: 'Unhandled rejection: rejected', level: 'error', category: 'uncaught', source: 'unhandledrejection'},
+			{msg: 'Content Security Policy violation: script-src blocked https://evil.example.com', level: 'error', category: 'uncaught', source: 'securitypolicyviolation'}
+		]);
+		assert.strictEqual(this.records[0].args[0], error);
+		assert.deepEqual(this.records[0].args[1], {filename: 'app.js', lineno: 1, colno: 2});
+		assert.strictEqual(this.records[1].args[0], reason);
+
+		this.release();
+		window.dispatchEvent(Object.assign(new Event('unhandledrejection'), {reason}));
+		await new Promise((res) => setTimeout(res, 1));
+		assert.lengthOf(this.records, 3, 'Nothing should be captured once released');
+	});
+	it('should capture console.warn and console.error without recursing', async function(){
+		const warnSpy = sinon.spy(console, 'warn');
+		const errorSpy = sinon.spy(console, 'error');
+		Logger.addTransport('console', ConsoleTransport({}));
+		this.release = Logger.captureGlobalErrors({console: true});
+
+		console.warn('Careful %s', 'now');
+		new Logger('spec.js').error('Logged directly');
+		await new Promise((res) => setTimeout(res, 1));
+		Logger.removeTransport('console');
+
+		assert.deepEqual(this.records.map(({msg, level, category, source}) => ({msg, level, category, source})), [
+			{msg: 'Careful %s', level: 'warn', category: 'global', source: 'console'},
+			{msg: 'Logged directly', level: 'error', category: 'spec.js', source: undefined}
+		]);
+		assert.deepEqual(this.records[0].args, ['now']);
+		assert.isTrue(warnSpy.calledOnceWith('Careful %s', 'now'), 'Captured console calls should not be repeated');
+		assert.isTrue(errorSpy.calledOnce, 'ConsoleTransport output should not be captured');
+
+		this.release();
+		assert.strictEqual(console.warn, warnSpy, 'The console should be restored');
+		assert.strictEqual(console.error, errorSpy, 'The console should be restored');
+	});
+	it('should report transports that fail instead of throwing', async function(){
+		const errorStub = sinon.stub(console, 'error');
+		const thrown = new Error('thrown');
+		const rejected = new Error('rejected');
+		Logger.addTransport('throwing', {log: () => { throw thrown; }});
+		Logger.addTransport('rejecting', {log: () => Promise.reject(rejected)});
+		this.release = Logger.captureGlobalErrors({console: true});
+
+		new Logger('spec.js').info('Delivered');
+		await new Promise((res) => setTimeout(res, 1));
+		Logger.removeTransport('throwing');
+		Logger.removeTransport('rejecting');
+		sinon.assert.calledWithExactly(errorStub, 'A log transport failed', thrown);
+		sinon.assert.calledWithExactly(errorStub, 'A log transport failed', rejected);
+		assert.deepEqual(this.records.map(({msg}) => msg), ['Delivered'], 'Transport failures should not be captured');
+	});
+});
+
+describe('Bound context', function(){
+	before(function(){
+		Logger.removeTransport('default');
+		Logger.setLogLevel('debug');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+	});
+	beforeEach(function(){
+		this.records = [];
+		Logger.addTransport('testTransport', {
+			log: params => this.records.push(params)
+		});
+	});
+	afterEach(function(){
+		Logger.removeTransport('testTransport');
+		sinon.restore();
+	});
+	it('should merge bound context into every record', async function(){
+		const UUT = new Logger('cart.js', {tenant: 'acme', userId: 42});
+		const child = UUT.child({orderId: 'A-123', userId: 7});
+		await new Promise((res) => {
+			UUT.info('Cart opened');
+			child.info('Order placed', {meta: {total: 10}});
+			new Logger('spec.js').info('No context');
+			setTimeout(res, 1);
+		});
+		assert.deepEqual(this.records.map(record => record.meta), [
+			{tenant: 'acme', userId: 42},
+			{tenant: 'acme', userId: 7, orderId: 'A-123', total: 10},
+			undefined
+		]);
+		assert.equal(this.records[1].category, 'cart.js');
+		assert.deepEqual(UUT.context, {tenant: 'acme', userId: 42}, 'A child should not change its parent');
+		assert.isFrozen(child.context);
+	});
+	it('should show bound context in the console', async function(){
+		const consoleSpy = sinon.spy(console, 'info');
+		Logger.addTransport('console', ConsoleTransport({}));
+		await new Promise((res) => {
+			new Logger('cart.js', {tenant: 'acme'}).info('Cart opened', {args: [1]});
+			setTimeout(res, 1);
+		});
+		Logger.removeTransport('console');
+		assert.deepEqual(consoleSpy.getCall(0).args.slice(-2), [1, {tenant: 'acme'}]);
+	});
+	it('should make bound context available to API templates', async function(){
+		const fetchStub = sinon.stub(window, 'fetch').resolves(new Response(''));
+		sinon.stub(console, 'debug');
+		Logger.addTransport('api', new APITransport({url: 'https://api.example.com/logs/{{meta.tenant}}', body: {order: '{{meta.orderId}}', msg: '{{msg}}'}}));
+		await new Promise((res) => {
+			new Logger('cart.js', {tenant: 'acme'}).child({orderId: 'A-123'}).info('Order placed');
+			setTimeout(res, 1);
+		});
+		Logger.removeTransport('api');
+		assert.equal(fetchStub.getCall(0).args[0], 'https://api.example.com/logs/acme');
+		assert.deepEqual(fetchStub.getCall(0).args[1].body, {order: 'A-123', msg: 'Order placed'});
+	});
+});
+
+describe('Trace propagation', function(){
+	const fetchConfig = {
+		url: 'https://api.example.com/logs',
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: {
+			msg: '{{msg}}',
+			traceId: '{{traceId}}',
+			spanId: '{{spanId}}'
+		},
+		trace: true
+	};
+	beforeEach(function(){
+		this.fetchStub = sinon.stub(window, 'fetch').resolves(new Response(''));
+		sinon.stub(console, 'debug');
+	});
+	afterEach(function(){
+		sinon.restore();
+	});
+	it('should keep a trace context until a new trace is started', function(){
+		const context = Logger.getTraceContext();
+		assert.match(context.traceId, /^[0-9a-f]{32}$/);
+		assert.match(context.spanId, /^[0-9a-f]{16}$/);
+		assert.equal(context.traceparent, `00-${context.traceId}-${context.spanId}-01`);
+		assert.deepEqual(Logger.getTraceContext(), context);
+
+		const next = Logger.startTrace({tracestate: 'vendor=abc'});
+		assert.notEqual(next.traceId, context.traceId);
+		assert.equal(next.tracestate, 'vendor=abc');
+		assert.equal(Logger.startTrace({traceId: '4bf92f3577b34da6a3ce929d0e0e4736'}).traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+		assert.throws(() => Logger.startTrace({traceId: 'abc'}), 'abc is not a valid trace ID');
+		assert.throws(() => Logger.startTrace({traceId: '0'.repeat(32)}), `${'0'.repeat(32)} is not a valid trace ID`);
+	});
+	it('should send the trace context headers and make it available to templates', async function(){
+		const {traceId, spanId, traceparent} = Logger.startTrace({tracestate: 'vendor=abc'});
+		await new APITransport(fetchConfig).log({msg: 'Checkout', level: 'info'});
+
+		assert.deepEqual(this.fetchStub.getCall(0).args[1].headers, {
+			traceparent,
+			tracestate: 'vendor=abc',
+			'Content-Type': 'application/json'
+		});
+		assert.deepEqual(this.fetchStub.getCall(0).args[1].body, {msg: 'Checkout', traceId, spanId});
+	});
+	it('should send the trace context of the first record of a batch', async function(){
+		const {traceparent, traceId} = Logger.startTrace();
+		const UUT = new APITransport({...fetchConfig, batch: {maxCount: 2}});
+		await UUT.log({msg: 'first', level: 'info'});
+		const second = Logger.startTrace();
+		await UUT.log({msg: 'second', level: 'info'});
+
+		const {headers, body} = this.fetchStub.getCall(0).args[1];
+		assert.equal(headers.traceparent, traceparent);
+		assert.deepEqual(JSON.parse(body).map(record => record.traceId), [traceId, second.traceId]);
+	});
+	it('should only send trace headers when enabled', async function(){
+		await new APITransport({...fetchConfig, trace: false}).log({msg: 'Checkout', level: 'info'});
+		assert.deepEqual(this.fetchStub.getCall(0).args[1].headers, {'Content-Type': 'application/json'});
+	});
+	it('should add the trace context headers to fetch', async function(){
+		const {traceparent} = Logger.startTrace();
+		await tracedFetch('/api/orders', {method: 'POST', headers: {'Content-Type': 'application/json'}});
+		await tracedFetch('/api/orders', {headers: {traceparent: 'kept'}});
+
+		let headers = this.fetchStub.getCall(0).args[1].headers;
+		assert.equal(headers.get('traceparent'), traceparent);
+		assert.equal(headers.get('content-type'), 'application/json');
+		assert.isFalse(headers.has('tracestate'));
+		headers = this.fetchStub.getCall(1).args[1].headers;
+		assert.equal(headers.get('traceparent'), 'kept');
+	});
+});
+
+describe('Rate limiting', function(){
+	before(function(){
+		Logger.removeTransport('default');
+		Logger.setLogLevel('debug');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+	});
+	beforeEach(function(){
+		this.clock = sinon.useFakeTimers({toFake: ['setTimeout', 'clearTimeout', 'Date']});
+		this.records = [];
+		Logger.addTransport('testTransport', {
+			log: params => this.records.push(params)
+		});
+		this.settle = () => new Promise(res => queueMicrotask(res));
+	});
+	afterEach(function(){
+		Logger.clearRateLimit();
+		Logger.setTransportRateLimit('testTransport');
+		Logger.removeTransport('testTransport');
+		sinon.restore();
+	});
+	it('should limit the records of a category with a token bucket', async function(){
+		const before = Logger.dropped.categories['render.js'] ?? 0;
+		Logger.setRateLimit({rate: 1, burst: 2}, 'render.js');
+		const UUT = new Logger('render.js');
+		for(let frame = 0; frame < 5; frame++){
+			UUT.info(`frame ${frame}`);
+		}
+		new Logger('spec.js').info('unlimited');
+		this.clock.tick(1000);
+		UUT.info('frame 5');
+		await this.settle();
+
+		assert.deepEqual(this.records.map(record => record.msg), ['frame 0', 'frame 1', 'unlimited', 'frame 5']);
+		assert.equal(Logger.dropped.categories['render.js'] - before, 3);
+	});
+	it('should collapse duplicates into a summary', async function(){
+		const before = Logger.dropped.duplicates['render.js'] ?? 0;
+		Logger.setRateLimit({duplicates: 5000}, 'render.js');
+		const UUT = new Logger('render.js');
+		for(let frame = 0; frame < 58; frame++){
+			UUT.warn('Slow frame', {args: [16]});
+		}
+		UUT.warn('Slow frame', {args: [40]});
+		UUT.info('tick');
+		UUT.info('tick');
+		UUT.info('tick');
+		this.clock.tick(5000);
+		UUT.info('tick');
+		await this.settle();
+
+		assert.deepEqual(this.records.map(({level, msg}) => `${level} ${msg}`), [
+			'warn Slow frame',
+			'warn Last message repeated 57 times in 1s',
+			'warn Slow frame',
+			'info tick',
+			'info Last message repeated 2 times in 5s',
+			'info tick'
+		]);
+		assert.equal(this.records[1].repeated, 57);
+		assert.equal(this.records[1].category, 'render.js');
+		assert.equal(Logger.dropped.duplicates['render.js'] - before, 59);
+	});
+	it('should send a summary to the transports in place when it is sent', async function(){
+		const removed = [];
+		const added = [];
+		Logger.addTransport('removed', {log: params => removed.push(params)});
+		Logger.setRateLimit({duplicates: 5000}, 'render.js');
+		const UUT = new Logger('render.js');
+		['Slow frame', 'Slow frame'].forEach(msg => UUT.warn(msg));
+		Logger.removeTransport('removed');
+		Logger.addTransport('added', {log: params => added.push(params)});
+		this.clock.tick(5000);
+		await this.settle();
+		Logger.removeTransport('added');
+
+		assert.deepEqual(removed.map(record => record.msg), ['Slow frame']);
+		assert.deepEqual(added.map(record => record.msg), ['Last message repeated 1 times in 5s']);
+	});
+	it('should apply the most specific category limit', async function(){
+		Logger.setRateLimit({rate: 1});
+		Logger.setRateLimit({rate: 100}, 'checkout/*');
+		['a', 'b'].forEach(msg => new Logger('spec.js').info(msg));
+		['c', 'd'].forEach(msg => new Logger('checkout/cart.js').info(msg));
+		await this.settle();
+
+		assert.deepEqual(this.records.map(record => record.msg), ['a', 'c', 'd']);
+	});
+	it('should limit the records delivered to a transport', async function(){
+		const before = Logger.dropped.transports.slow ?? 0;
+		const slow = [];
+		Logger.addTransport('slow', {log: params => slow.push(params)});
+		Logger.setTransportRateLimit('slow', {rate: 1});
+		['a', 'b', 'c'].forEach(msg => new Logger('spec.js').info(msg));
+		await this.settle();
+		Logger.setTransportRateLimit('slow');
+		Logger.removeTransport('slow');
+
+		assert.lengthOf(this.records, 3);
+		assert.deepEqual(slow.map(record => record.msg), ['a']);
+		assert.equal(Logger.dropped.transports.slow - before, 2);
+	});
+	it('should reject invalid limits', function(){
+		assert.throws(() => Logger.setRateLimit({}), '{} is not a valid rate limit');
+		assert.throws(() => Logger.setRateLimit({rate: -1}), '{"rate":-1} is not a valid rate limit');
+		assert.throws(() => Logger.setRateLimit({burst: 5, duplicates: 100}), 'is not a valid rate limit');
+		assert.throws(() => Logger.setTransportRateLimit('api', {duplicates: 100}), 'is not a valid rate limit');
+	});
+});
+
+describe('Redaction', function(){
+	const fetchConfig = {
+		url: 'https://api.example.com/logs',
+		method: 'POST',
+		headers: {
+			'Authorization': 'Bearer static',
+			'X-Session': '{{session}}',
+			'X-User': '{{user}}'
+		},
+		body: '{{msg}}'
+	};
+	before(function(){
+		Logger.removeTransport('default');
+		Logger.setLogLevel('debug');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+	});
+	beforeEach(function(){
+		this.records = [];
+		Logger.addTransport('testTransport', {
+			log: params => this.records.push(params)
+		});
+		this.settle = () => new Promise(res => queueMicrotask(res));
+	});
+	afterEach(function(){
+		Logger.clearRedaction();
+		Logger.removeTransport('testTransport');
+		sinon.restore();
+	});
+	it('should redact paths relative to the record', async function(){
+		Logger.setRedaction({paths: ['args.*.password', 'meta.user.email']});
+		const login = {name: 'alice', password: 'hunter2'};
+		new Logger('spec.js', {user: {email: 'alice@example.com', id: 7}}).info('Login', {args: [login, 'password']});
+		await this.settle();
+
+		assert.deepEqual(this.records[0].args, [{name: 'alice', password: '[REDACTED]'}, 'password']);
+		assert.deepEqual(this.records[0].meta, {user: {email: '[REDACTED]', id: 7}});
+		assert.equal(login.password, 'hunter2');
+	});
+	it('should remove and hash values', async function(){
+		Logger.setRedaction({keys: ['token', {match: 'userId', strategy: 'hash'}], patterns: [/\bsk_\w+/], strategy: 'remove'});
+		new Logger('spec.js').info('Key sk_live_123 revoked', {args: [{token: 't', user_id: 42}]});
+		await this.settle();
+
+		assert.equal(this.records[0].msg, 'Key  revoked');
+		assert.deepEqual(this.records[0].args, [{user_id: '[hash:73475cb40a568e8d]'}]);
+	});
+	it('should keep cycles and leave other objects alone', async function(){
+		Logger.setRedaction({keys: ['secret']});
+		const node = {secret: 's'};
+		node.self = node;
+		const date = new Date(0);
+		new Logger('spec.js').info('Cycle', {args: [node, date]});
+		await this.settle();
+
+		const [copy, sent] = this.records[0].args;
+		assert.equal(copy.secret, '[REDACTED]');
+		assert.strictEqual(copy.self, copy);
+		assert.strictEqual(sent, date);
+	});
+	it('should scrub interpolated request headers', async function(){
+		const fetchStub = sinon.stub(window, 'fetch').resolves(new Response(''));
+		Logger.setRedaction({keys: ['xSession'], patterns: ['email']});
+		await new APITransport(fetchConfig).log({msg: 'Checkout', level: 'info', session: 'abc', user: 'alice@example.com'});
+
+		assert.deepEqual(fetchStub.getCall(0).args[1].headers, {
+			'Authorization': 'Bearer static',
+			'X-Session': '[REDACTED]',
+			'X-User': '[REDACTED]'
+		});
+	});
+	it('should reject unknown patterns', function(){
+		assert.throws(() => Logger.setRedaction({patterns: ['ssn']}), 'ssn is not a known redaction pattern');
+	});
+});
+
+describe('Layouts', function(){
+	const record = {
+		msg: 'Order %s placed',
+		args: ['A-1', 3],
+		level: 'info',
+		category: 'checkout/cart.js',
+		timestamp: new Date(2024, 0, 2, 3, 4, 5, 6).getTime(),
+		meta: {tenant: 'acme', user: {id: 7}}
+	};
+	afterEach(function(){
+		sinon.restore();
+	});
+	it('should render patterns', function(){
+		assert.equal(new PatternLayout('%d{ISO} %-5p [%c] %m%n').format(record), `${new Date(record.timestamp).toISOString()} INFO  [checkout/cart.js] Order A-1 placed 3\n`);
+		assert.equal(PatternLayout('%d{yyyy-MM-dd HH:mm:ss.SSS}|%5p{lower}|%.7c|%X{user.id}|%X{missing}|%X|100%%').format(record),
+			'2024-01-02 03:04:05.006| info|cart.js|7||{"tenant":"acme","user":{"id":7}}|100%');
+		assert.equal(new PatternLayout('%d{EPOCH} %d').format({...record, timestamp: 'now'}), 'now now');
+		assert.throws(() => new PatternLayout('%d %q'), '%q is not a valid layout conversion');
+	});
+	it('should render JSON and logfmt', function(){
+		const timestamp = new Date(record.timestamp).toISOString();
+		assert.deepEqual(JSON.parse(new JSONLayout().format(record)), {
+			timestamp,
+			level: 'info',
+			category: 'checkout/cart.js',
+			msg: 'Order A-1 placed 3',
+			meta: {tenant: 'acme', user: {id: 7}}
+		});
+		assert.equal(new LogfmtLayout().format({...record, meta: {...record.meta, note: 'say "hi"', empty: ''}}),
+			`ts=${timestamp} level=info category=checkout/cart.js msg="Order A-1 placed 3" tenant=acme user.id=7 note="say \\"hi\\"" empty=""\n`);
+	});
+	it('should render API bodies with a layout', async function(){
+		const fetchStub = sinon.stub(window, 'fetch').resolves(new Response(''));
+		await new APITransport({url: '/logs', method: 'POST', layout: new JSONLayout()}).log(record);
+		assert.deepEqual(JSON.parse(fetchStub.getCall(0).args[1].body).msg, 'Order A-1 placed 3');
+
+		const UUT = new APITransport({url: '/logs', layout: '%p %m', batch: {format: 'ndjson'}});
+		await UUT.log(record);
+		await UUT.log({...record, level: 'warn', msg: 'Stock low', args: []});
+		await UUT.flush();
+		assert.equal(fetchStub.getCall(1).args[1].body, 'INFO Order A-1 placed 3\nWARN Stock low');
+		assert.throws(() => new APITransport({url: '/logs', body: '{{msg}}', layout: new JSONLayout()}), 'layout is not valid alongside a body');
+		assert.throws(() => new APITransport({url: '/logs', layout: '%m', batch: true}), 'layout is not valid with array batches, except a JSONLayout');
+
+		const array = new APITransport({url: '/logs', layout: new JSONLayout(), batch: true});
+		await array.log(record);
+		await array.flush();
+		assert.deepEqual(JSON.parse(fetchStub.getCall(2).args[1].body).map(({msg}) => msg), ['Order A-1 placed 3']);
+	});
+	it('should render console messages with a layout', function(){
+		const infoStub = sinon.stub(console, 'info');
+		new ConsoleTransport({layout: '%p %c: %m%n'}).log(record);
+		sinon.assert.calledOnceWithExactly(infoStub, 'INFO checkout/cart.js: Order A-1 placed 3');
+		assert.throws(() => new ConsoleTransport({layout: 42}), '42 is not a valid layout');
+	});
+	it('should render memory records with a layout', function(){
+		const UUT = new MemoryTransport({layout: new PatternLayout('%p %m')});
+		UUT.log({...record, msg: 'Cart', group: 'group'});
+		UUT.log(record);
+		UUT.log({msg: [{sku: 'A', qty: 1}], isTable: true, level: 'debug', category: 'spec.js'});
+		UUT.log({group: 'groupEnd', level: 'info'});
+		assert.equal(UUT.toText(), [
+			'INFO Cart A-1 3',
+			'  INFO Order A-1 placed 3',
+			'  DEBUG ',
+			'  (index) | sku | qty',
+			'  --------+-----+----',
+			'  0       | A   | 1',
+			''
+		].join('\n'));
+	});
+});
+
+describe('Transport filters', function(){
+	before(function(){
+		Logger.removeTransport('default');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+		Logger.setLogLevel('debug');
+	});
+	beforeEach(function(){
+		Logger.setLogLevel('debug');
+		this.received = {};
+		this.collect = name => ({log: params => (this.received[name] ??= []).push(`${params.category} ${params.msg}`)});
+		this.settle = () => new Promise(res => queueMicrotask(res));
+	});
+	afterEach(function(){
+		['console', 'api', 'file', 'memory'].forEach(name => Logger.removeTransport(name));
+		sinon.restore();
+	});
+	it('should apply a level and categories per transport', async function(){
+		Logger.addTransport('console', this.collect('console'));
+		Logger.addTransport('api', this.collect('api'), {level: 'warn'});
+		Logger.addTransport('file', this.collect('file'), {include: 'payments/*', exclude: ['payments/debug.js']});
+		new Logger('payments/card.js').debug('Tokenized');
+		new Logger('payments/debug.js').error('Dump');
+		new Logger('cart.js').warn('Stock low');
+		await this.settle();
+
+		assert.deepEqual(this.received, {
+			console: ['payments/card.js Tokenized', 'payments/debug.js Dump', 'cart.js Stock low'],
+			api: ['payments/debug.js Dump', 'cart.js Stock low'],
+			file: ['payments/card.js Tokenized']
+		});
+	});
+	it('should filter records with a predicate', async function(){
+		const errorStub = sinon.stub(console, 'error');
+		Logger.addTransport('api', this.collect('api'), {filter: record => record.meta?.tenant === 'acme'});
+		Logger.addTransport('file', this.collect('file'), {filter: record => record.args[0].sampled});
+		new Logger('cart.js', {tenant: 'acme'}).info('Kept');
+		new Logger('cart.js', {tenant: 'other'}).info('Skipped');
+		await this.settle();
+
+		assert.deepEqual(this.received, {api: ['cart.js Kept']});
+		sinon.assert.calledTwice(errorStub);
+	});
+	it('should combine with the capture level of a transport', async function(){
+		const memory = new MemoryTransport({level: 'debug'});
+		Logger.setLogLevel('warn');
+		Logger.addTransport('memory', memory, {exclude: 'noisy/*'});
+		Logger.addTransport('api', this.collect('api'), {level: 'debug'});
+		new Logger('cart.js').debug('Captured');
+		new Logger('noisy/poll.js').debug('Excluded');
+		await this.settle();
+
+		assert.deepEqual(memory.getRecords().map(record => record.msg), ['Captured']);
+		assert.deepEqual(this.received, {}, 'A transport level does not widen the logger level');
+	});
+	it('should replace the options when a transport is added again', async function(){
+		Logger.addTransport('api', this.collect('api'), {level: 'error'});
+		Logger.addTransport('api', this.collect('api'));
+		new Logger('cart.js').info('Delivered');
+		await this.settle();
+
+		assert.deepEqual(this.received, {api: ['cart.js Delivered']});
+		assert.throws(() => Logger.addTransport('api', this.collect('api'), {level: 'loud'}), 'loud is not a valid logger level');
+	});
+});
+
+describe('Runtime configuration', function(){
+	before(function(){
+		this.url = location.href;
+	});
+	beforeEach(function(){
+		this.warnStub = sinon.stub(console, 'warn');
+	});
+	afterEach(function(){
+		history.replaceState(null, '', this.url);
+		Logger.saveConfig(null);
+		Logger.saveConfig(null, {to: 'cookie'});
+		Logger.clearLogLevel();
+		Logger.setLogLevel('debug');
+		sinon.restore();
+	});
+	it('should read the level and categories from the URL', function(){
+		history.replaceState(null, '', '?log=warn');
+		assert.deepEqual(Logger.loadConfig(), {level: 'warn'});
+		assert.equal(Logger.level, 'warn');
+
+		history.replaceState(null, '', '?log=trace&logCategories=cart/*,checkout:info,payments:loud');
+		assert.deepEqual(Logger.loadConfig(), {categories: {'cart/*': 'trace', checkout: 'info'}});
+		assert.equal(Logger.level, 'warn', 'The level only applies to the categories');
+		assert.equal(Logger.getLogLevel('cart/items.js'), 'trace');
+		sinon.assert.calledWith(this.warnStub, 'loud is not a valid logger level');
+	});
+	it('should save and load the configuration', function(){
+		Logger.setLogLevel('info');
+		Logger.setLogLevel('debug', 'cart/*');
+		Logger.saveConfig();
+		Logger.saveConfig({level: 'error'}, {to: 'cookie', maxAge: 3600});
+		Logger.setLogLevel('warn');
+		Logger.clearLogLevel();
+
+		assert.deepEqual(Logger.loadConfig(), {level: 'info', categories: {'cart/*': 'debug'}});
+		assert.equal(Logger.getLogLevel('cart/items.js'), 'debug');
+		assert.deepEqual(Logger.loadConfig({sources: ['cookie']}), {level: 'error'});
+		history.replaceState(null, '', '?log=trace');
+		assert.equal(Logger.loadConfig({sources: ['localStorage', 'url']}).level, 'info', 'The first source with a configuration is applied');
+
+		Logger.saveConfig(null);
+		assert.isUndefined(Logger.loadConfig({sources: ['localStorage']}));
+		assert.throws(() => Logger.saveConfig({level: 'loud'}), 'loud is not a valid logger level');
+		assert.throws(() => Logger.saveConfig({level: 'info'}, {to: 'indexedDB'}), 'indexedDB is not a valid config destination');
+	});
+	it('should only read the allowed sources', function(){
+		history.replaceState(null, '', '?log=trace');
+		Logger.setLogLevel('info');
+		assert.isUndefined(Logger.loadConfig({sources: []}));
+		assert.isUndefined(Logger.loadConfig({sources: ['cookie']}));
+		assert.equal(Logger.level, 'info');
+		assert.throws(() => Logger.loadConfig({sources: ['hash']}), 'hash is not a valid config source');
+	});
+	it('should ignore a configuration that cannot be read', function(){
+		localStorage.setItem('log-ng', '{level:');
+		assert.isUndefined(Logger.loadConfig({sources: ['localStorage']}));
+		sinon.assert.calledWith(this.warnStub, 'The log configuration in localStorage could not be read');
+	});
+});
+
+describe('Remote configuration', function(){
+	const respond = body => Promise.resolve(new Response(JSON.stringify(body)));
+	before(function(){
+		Logger.removeTransport('default');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+	});
+	beforeEach(function(){
+		Logger.setLogLevel('info');
+		this.fetchStub = sinon.stub(window, 'fetch');
+		this.warnStub = sinon.stub(console, 'warn');
+		this.api = {log: sinon.spy()};
+		this.records = [];
+		Logger.addTransport('testTransport', {log: params => this.records.push(params)});
+	});
+	afterEach(function(){
+		this.remote?.stop();
+		Logger.removeTransport('testTransport');
+		Logger.removeTransport('api');
+		Logger.clearLogLevel();
+		Logger.setLogLevel('debug');
+		sinon.restore();
+	});
+	it('should apply the document and poll for changes', async function(){
+		const clock = sinon.useFakeTimers({toFake: ['setInterval', 'clearInterval']});
+		this.fetchStub.onCall(0).callsFake(() => respond({
+			level: 'warn',
+			categories: {'checkout/*': 'debug'},
+			transports: {api: {level: 'error'}, testTransport: true}
+		}));
+		this.fetchStub.onCall(1).callsFake(() => respond({categories: {'cart/*': 'trace'}, transports: {api: false}}));
+		this.remote = Logger.useRemoteConfig({url: '/logging.json', interval: 30000, transports: {api: this.api}});
+		assert.deepEqual(await this.remote.refresh(), {
+			level: 'warn',
+			categories: {'checkout/*': 'debug'},
+			transports: {api: {level: 'error'}, testTransport: true}
+		});
+
+		assert.equal(Logger.level, 'warn');
+		assert.equal(Logger.getLogLevel('checkout/cart.js'), 'debug');
+		assert.deepEqual(Logger.state.transportFilters.api, {level: 'error', include: undefined, exclude: [], filter: undefined});
+		sinon.assert.calledWith(this.fetchStub, '/logging.json', {cache: 'no-store'});
+
+		clock.tick(30000);
+		await this.remote.refresh();
+		assert.equal(Logger.level, 'info', 'The level in use before should be restored');
+		assert.equal(Logger.getLogLevel('checkout/cart.js'), 'info');
+		assert.equal(Logger.getLogLevel('cart/items.js'), 'trace');
+		assert.notProperty(Logger.state.transports, 'api');
+		sinon.assert.calledTwice(this.fetchStub);
+	});
+	it('should keep the last good configuration', async function(){
+		this.fetchStub.onCall(0).callsFake(() => respond({level: 'error'}));
+		this.remote = Logger.useRemoteConfig({url: '/logging.json'});
+		await this.remote.refresh();
+
+		for(const [response, message] of [
+			[respond({level: 'debug', categories: {'cart/*': 'loud'}}), 'loud is not a valid logger level'],
+			[respond({transports: {missing: true}}), 'missing is not a known transport'],
+			[respond({transports: {testTransport: {filter: 'x'}}}), '{"filter":"x"} is not a valid transport setting'],
+			[respond([]), '[] is not a valid remote configuration'],
+			[Promise.resolve(new Response('', {status: 503})), '/logging.json responded with 503'],
+			[Promise.reject(new TypeError('Failed to fetch')), 'Failed to fetch']
+		]){
+			this.fetchStub.returns(response);
+			assert.deepEqual(await this.remote.refresh(), {level: 'error'});
+			assert.equal(this.warnStub.lastCall.args[1].message, message);
+		}
+		assert.equal(Logger.level, 'error');
+		assert.equal(Logger.getLogLevel('cart/items.js'), 'error');
+	});
+	it('should stop polling', async function(){
+		const clock = sinon.useFakeTimers({toFake: ['setInterval', 'clearInterval']});
+		this.fetchStub.callsFake(() => respond({level: 'warn'}));
+		const first = Logger.useRemoteConfig({url: '/first.json', interval: 1000});
+		this.remote = Logger.useRemoteConfig({url: '/second.json', interval: 1000});
+		await this.remote.refresh();
+		this.remote.stop();
+		clock.tick(5000);
+
+		sinon.assert.calledWith(this.fetchStub, '/first.json');
+		assert.deepEqual(this.fetchStub.getCalls().map(call => call.args[0]), ['/first.json', '/second.json']);
+		assert.isUndefined(await first.refresh(), 'A replaced configuration should not be applied');
+	});
+});
+
+describe('Timing', function(){
+	before(function(){
+		Logger.removeTransport('default');
+		Logger.setLogLevel('debug');
+	});
+	after(function(){
+		Logger.addTransport('default', ConsoleTransport({}));
+	});
+	beforeEach(function(){
+		this.records = [];
+		Logger.addTransport('testTransport', {log: params => this.records.push(params)});
+		this.settle = () => new Promise(res => queueMicrotask(res));
+	});
+	afterEach(function(){
+		Logger.removeTransport('testTransport');
+		performance.clearMarks();
+		performance.clearMeasures();
+		sinon.restore();
+	});
+	it('should log durations and add performance marks and measures', async function(){
+		const UUT = new Logger('timing.js');
+		UUT.time('render');
+		const durationMs = UUT.timeEnd('render');
+		await UUT.measure('load', new Promise(res => setTimeout(res, 5)));
+		await this.settle();
+
+		assert.equal(this.records[0].durationMs, durationMs);
+		assert.isAtLeast(this.records[1].durationMs, 4);
+		const marks = performance.getEntriesByType('mark');
+		const measures = performance.getEntriesByType('measure');
+		assert.deepEqual(measures.map(entry => entry.name), ['render', 'load']);
+		assert.lengthOf(marks, 2);
+		assert.match(marks[0].name, /^render #\d+$/);
+		assert.match(marks[1].name, /^load #\d+$/);
+		assert.deepEqual(measures.map(entry => entry.startTime), marks.map(entry => entry.startTime), 'Each measure should start at its mark');
+	});
+	it('should keep overlapping measurements with the same name apart', async function(){
+		const UUT = new Logger('timing.js');
+		const slow = UUT.measure('fetch', new Promise(res => setTimeout(res, 20)));
+		await UUT.measure('fetch', Promise.resolve());
+		await slow;
+
+		// sorted by start time
+		const [slowMeasure, fast] = performance.getEntriesByName('fetch', 'measure');
+		const [slowMark, fastMark] = performance.getEntriesByType('mark');
+		assert.notEqual(slowMark.name, fastMark.name, 'Each measurement should have its own mark');
+		assert.equal(slowMeasure.startTime, slowMark.startTime);
+		assert.equal(fast.startTime, fastMark.startTime);
+		assert.isAtLeast(slowMeasure.duration, 15);
+		assert.isBelow(fast.duration, slowMeasure.duration);
+	});
+	it('should log failures and missing timers', async function(){
+		const warnStub = sinon.stub(console, 'warn');
+		const UUT = new Logger('timing.js');
+		const error = new Error('offline');
+		try{
+			await UUT.measure('sync', () => Promise.reject(error));
+			assert.fail('The failure should be thrown again');
+		}catch(e){
+			assert.strictEqual(e, error);
+		}
+		assert.isUndefined(UUT.timeEnd('missing'));
+		await this.settle();
+
+		assert.include(this.records[0], {failed: true, level: 'error'});
+		assert.isNumber(this.records[0].durationMs);
+		sinon.assert.calledWith(warnStub, 'Timer \'missing\' does not exist');
+	});
+});
+
+describe('Custom levels', function(){
+	afterEach(function(){
+		Logger.setLevels();
+		Logger.setLogLevel('debug');
+		sinon.restore();
+	});
+	it('should define constants and console methods', function(){
+		const errorStub = sinon.stub(console, 'error');
+		const infoStub = sinon.stub(console, 'info');
+		const debugStub = sinon.stub(console, 'debug');
+		Logger.setLevels({fatal: 0, error: 1, audit: 2, notice: 3}, {consoleMethod: {fatal: 'error', audit: 'info'}});
+		assert.equal(Logger.FATAL, 'fatal');
+		assert.isUndefined(Logger.DEBUG);
+		assert.equal(Logger.level, 'notice', 'The most verbose level replaces a level that is gone');
+
+		const transport = new ConsoleTransport({layout: '%p %m'});
+		['fatal', 'audit', 'notice'].forEach(level => transport.log({level, msg: 'Checked', category: 'spec.js'}));
+		sinon.assert.calledOnceWithExactly(errorStub, 'FATAL Checked');
+		sinon.assert.calledOnceWithExactly(infoStub, 'AUDIT Checked');
+		sinon.assert.calledOnceWithExactly(debugStub, 'NOTICE Checked');
+		assert.throws(() => Logger.setLevels({fatal: 0}, {consoleMethod: {fatal: 'table'}}), 'table is not a valid console method for fatal');
+		assert.throws(() => Logger.setLevels({fatal: 0.5}), 'fatal is not a valid level');
+	});
+	it('should remove category levels that are gone', function(){
+		Logger.setLogLevel('trace', 'checkout/*');
+		Logger.setLogLevel('warn', 'cart/*');
+		Logger.setLevels({error: 0, warn: 1, info: 2});
+		assert.deepEqual(Logger.state.categoryLevels, {'cart/*': 'warn'});
+	});
+	it('should remove transport levels that are gone', async function(){
+		const records = [];
+		Logger.addTransport('custom', {log: record => records.push(record.level)}, {level: 'debug'});
+		const memory = new MemoryTransport({level: 'trace'});
+		Logger.addTransport('memory', memory);
+		Logger.setLevels({error: 0, warn: 1, info: 2});
+		assert.isUndefined(Logger.state.transportFilters.custom.level);
+		assert.isUndefined(memory.captureLevel);
+		new Logger('spec.js').warn('Kept');
+		await Promise.resolve();
+		assert.deepEqual(records, ['warn']);
+		Logger.removeTransport('custom');
+		Logger.removeTransport('memory');
+	});
+	it('should capture errors and console calls at the most severe level once warn and error are gone', async function(){
+		const records = [];
+		Logger.addTransport('custom', {log: record => records.push(`${record.level} ${record.msg}`)});
+		sinon.stub(console, 'warn');
+		Logger.setLevels({fatal: 0, info: 1});
+		const release = Logger.captureGlobalErrors({console: true});
+		try{
+			console.warn('Careful');
+			window.dispatchEvent(Object.assign(new Event('error'), {message: 'boom', error: new Error('boom')}));
+			await new Promise((res) => setTimeout(res, 1));
+		}finally{
+			release();
+			Logger.removeTransport('custom');
+		}
+		assert.deepEqual(records, ['fatal Careful', 'fatal boom']);
+	});
+	it('should give each logger the same method for a level every time', function(){
+		const logger = new Logger('spec.js');
+		assert.strictEqual(logger.info, logger.info);
+		assert.strictEqual(logger.noop, logger.noop);
+		assert.notStrictEqual(logger.info, new Logger('spec.js').info);
+	});
+});
+
+conformance('Browser', Logger, {
+	createTransport: records => ({
+		log: ({level, msg, category, meta}) => records.push({level, msg, category, meta})
+	})
 });
@@ -1,6 +1,7 @@
 const cors = require('cors');
 const express = require('express');
 const bodyParser = require('body-parser');
+const {createIngestRouter} = require('./ingest.js');
 
 const app = express();
 const router = express.Router();
@@ -27,6 +28,7 @@ app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use((req, _res, next) => {console.debug(`req: ${req.originalUrl}`); next();});
+app.use('/ingest', createIngestRouter());
 app.use(router);
 
 if(require.main === module){